@@ -1,34 +1,116 @@
 // server.js
 // Refactored: core logic moved to separate modules under src/
+const crypto = require('crypto');
 const express = require('express');
+const cookieParser = require('cookie-parser');
 const cron = require('node-cron');
-const config = require('./src/config');
+const { ConfigError } = require('./src/configLoader');
+
+// Validate configuration before anything else – report every problem and stop.
+// Plain console output here, since the logger's own settings may be what is broken.
+function loadOrExit(load) {
+  try {
+    return load();
+  } catch (error) {
+    if (!(error instanceof ConfigError)) throw error;
+    console.error(error.message);
+    process.exit(1);
+  }
+}
+const config = loadOrExit(() => require('./src/config'));
+const { createLogger } = require('./src/logger');
 const workspace = require('./src/workspace');
-const { renderSuccessPage, renderErrorPage } = require('./src/template');
+const pool = require('./src/pool');
+const provisioner = require('./src/provisioner');
+const reconciler = require('./src/reconcile');
+const profiles = require('./src/profiles');
+const hotReload = require('./src/hotReload');
+const readiness = require('./src/readiness');
+const templates = require('./src/template');
 const { registerRoutes } = require('./src/routes');
 
+const log = createLogger({ module: 'server' });
+// Sessions recorded before this moment were left behind by a previous process
+const startedAt = new Date();
 const app = express();
 const PORT = config.PORT;
 
-// Schedule daily cleanup if enabled
+// Load persona profiles up front so a broken profiles file stops startup
+const profileList = loadOrExit(() => profiles.listProfiles());
+
+// Resolve the visitor's IP from X-Forwarded-For when behind the reverse proxy
+app.set('trust proxy', config.TRUST_PROXY);
+
+// Signed cookies remember which session a returning browser belongs to
+if (!config.COOKIE_SECRET) {
+  log.warn('COOKIE_SECRET not set – using a random secret, returning visitors will be forgotten on restart');
+}
+app.use(cookieParser(config.COOKIE_SECRET || crypto.randomBytes(32).toString('hex')));
+
+// Schedule the expired-session sweeper if enabled
 if (config.CLEANUP_ENABLED) {
-  console.log(`Session cleanup scheduled with cron: ${config.CLEANUP_CRON}`);
+  log.info('Expired session sweep scheduled', { cron: config.CLEANUP_CRON });
   cron.schedule(config.CLEANUP_CRON, () => {
-    console.log('Running scheduled session cleanup...');
-    workspace.cleanupSessions();
+    log.info('Running scheduled sweep of expired sessions');
+    workspace.sweepExpiredSessions().catch((error) => {
+      log.error('Scheduled sweep failed', { err: error });
+    });
+  });
+}
+
+// Schedule orphan reconciliation if configured
+if (config.RECONCILE_CRON) {
+  log.info('Orphan reconciliation scheduled', { cron: config.RECONCILE_CRON, delete: config.RECONCILE_DELETE });
+  cron.schedule(config.RECONCILE_CRON, () => {
+    log.info('Running scheduled orphan reconciliation');
+    reconciler.reconcile({ dryRun: !config.RECONCILE_DELETE }).catch((error) => {
+      log.error('Scheduled reconciliation failed', { err: error });
+    });
   });
 }
 
 // Register all route handlers in a separate module
-registerRoutes(app, config, workspace, { renderSuccessPage, renderErrorPage });
+const { setupJobs } = registerRoutes(app, config, workspace, templates, { pool, reconciler, hotReload, readiness });
+// Sessions with a setup job of their own are never resumed or rolled back by recovery
+const hasSetupJob = (sessionId) => setupJobs.isRunning(sessionId) || setupJobs.getPosition(sessionId) != null;
 
 app.listen(PORT, '0.0.0.0', () => {
-  console.log(`SSO Redirect Service running on port ${PORT}`);
-  console.log(`Workspace name: ${config.WORKSPACE_NAME}`);
-  console.log(`Cleanup enabled: ${config.CLEANUP_ENABLED}`);
-  console.log(`Skip documents: ${workspace.SKIP_DOCUMENTS}`);
-  console.log(`Skip user addition: ${workspace.SKIP_USER_ADDITION}`);
-  if (config.CLEANUP_ENABLED) {
-    console.log(`Cleanup schedule: ${config.CLEANUP_CRON}`);
+  log.info('SSO Redirect Service running', {
+    port: PORT,
+    configFile: config.CONFIG_FILE,
+    workspaceName: config.WORKSPACE_NAME,
+    cleanupEnabled: config.CLEANUP_ENABLED,
+    cleanupCron: config.CLEANUP_ENABLED ? config.CLEANUP_CRON : null,
+    sessionTtlHours: config.SESSION_TTL_HOURS,
+    poolSize: config.POOL_SIZE,
+    recoveryAction: config.RECOVERY_ACTION,
+    skipDocuments: config.SKIP_DOCUMENTS,
+    skipUserAddition: config.SKIP_USER_ADDITION,
+    logLevel: config.LOG_LEVEL,
+  });
+  for (const profile of profileList) {
+    log.info('Profile loaded', {
+      profile: profile.name,
+      path: `/p/${profile.name}`,
+      hosts: profile.hosts,
+      folderName: profile.folderName,
+    });
   }
+
+  // Upload new or changed documents for every profile up front so the first visitor doesn't wait on it
+  async function syncAllDocuments() {
+    for (const profile of profileList) {
+      await workspace.syncDocuments(profile).catch((error) => {
+        log.error('Initial document sync failed', { profile: profile.name, err: error });
+      });
+    }
+  }
+  const warmUp = config.SKIP_DOCUMENTS ? Promise.resolve() : syncAllDocuments();
+  warmUp
+    .then(() => provisioner.recoverSessions({ createdBefore: startedAt, isActive: hasSetupJob }))
+    .catch((error) => log.error('Session recovery failed', { err: error }))
+    .then(() => pool.startPool());
+
+  // Pick up edits to settings, prompts and documents without a restart
+  hotReload.startWatching();
 });
\ No newline at end of file
@@ -0,0 +1,526 @@
+// src/anythingllm.js
+// Client for the AnythingLLM developer API (/api/v1). One shared axios
+// instance carries the base URL, API key and timeouts; every endpoint this
+// service uses is a typed method that returns a normalized result, and every
+// failure is thrown as one of the error classes below.
+// Requests made inside withSignal() are tied to its AbortSignal, so a
+// provisioning job that times out cancels the calls it has in flight.
+
+const { AsyncLocalStorage } = require('async_hooks');
+const fs = require('fs');
+const axios = require('axios');
+const FormData = require('form-data');
+const { createLogger } = require('./logger');
+
+const log = createLogger({ module: 'anythingllm' });
+
+// AbortSignal for the requests made in the current async context
+const signals = new AsyncLocalStorage();
+
+/**
+ * Run `fn` with every AnythingLLM request it makes tied to `signal`: aborting it
+ * cancels the requests in flight, and later ones fail straight away with the
+ * signal's reason. `null` runs `fn` free of any outer signal, e.g. for a rollback.
+ * @param {AbortSignal|null} signal
+ * @param {() => *} fn
+ */
+function withSignal(signal, fn) {
+  return signals.run(signal || null, fn);
+}
+
+// The signal requests are currently tied to, if any
+function currentSignal() {
+  return signals.getStore() || null;
+}
+
+/**
+ * @typedef {object} User
+ * @property {number} id
+ * @property {string} username
+ * @property {string} [role]
+ */
+
+/**
+ * @typedef {object} WorkspaceDocument
+ * @property {string} docpath - e.g. 'custom-documents/resume.pdf-<uuid>.json'
+ * @property {string} [filename]
+ */
+
+/**
+ * @typedef {object} Workspace
+ * @property {number} [id]
+ * @property {string} slug
+ * @property {string} name
+ * @property {string} [createdAt]
+ * @property {WorkspaceDocument[]} [documents]
+ */
+
+/**
+ * Settings accepted by workspace creation and update.
+ * @typedef {object} WorkspaceSettings
+ * @property {string} [name]
+ * @property {number} [similarityThreshold]
+ * @property {number} [openAiTemp]
+ * @property {number} [openAiHistory]
+ * @property {'chat'|'query'} [chatMode]
+ * @property {number} [topN]
+ * @property {string} [openAiPrompt]
+ * @property {string} [queryRefusalResponse]
+ */
+
+/**
+ * A document in AnythingLLM storage.
+ * @typedef {object} StoredDocument
+ * @property {string} name - file name inside its folder
+ * @property {string} [location] - '<folder>/<name>', as returned by uploads
+ * @property {string} [title]
+ * @property {string} [chunkSource] - where it came from, e.g. 'link://<url>' for web pages
+ */
+
+/**
+ * Metadata stored with an uploaded document; shown as its citation.
+ * @typedef {object} DocumentMetadata
+ * @property {string} [title]
+ * @property {string} [docAuthor]
+ * @property {string} [description]
+ * @property {string} [docSource]
+ */
+
+/**
+ * @typedef {object} AuthToken
+ * @property {string} token
+ * @property {string} loginPath - path (with the token) that logs the user in
+ */
+
+/**
+ * @typedef {object} ChatResponse
+ * @property {string} textResponse
+ * @property {object[]} sources - document chunks the answer was based on
+ */
+
+/**
+ * @typedef {object} RequestOptions
+ * @property {number} [timeout] - overrides the client's timeout for this request, in ms
+ */
+
+/**
+ * Base class for every failed AnythingLLM call.
+ * `kind` is one of 'auth', 'not_found', 'conflict', 'server', 'network',
+ * 'request' (another 4xx) or 'response' (a success status with an unusable body).
+ */
+class AnythingLLMError extends Error {
+  constructor(
+    message,
+    { kind, status = null, code = null, method = null, endpoint = null, data = null, retryAfterMs = null } = {}
+  ) {
+    super(message);
+    this.name = 'AnythingLLMError';
+    this.kind = kind;
+    this.status = status;
+    this.code = code;
+    this.method = method;
+    this.endpoint = endpoint;
+    this.data = data;
+    // From a Retry-After header (429 / 503), in ms
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+// 401 / 403 – the API key is missing, wrong, or lacks admin rights
+class AuthError extends AnythingLLMError {
+  constructor(message, details) {
+    super(message, { ...details, kind: 'auth' });
+    this.name = 'AuthError';
+  }
+}
+
+class NotFoundError extends AnythingLLMError {
+  constructor(message, details) {
+    super(message, { ...details, kind: 'not_found' });
+    this.name = 'NotFoundError';
+  }
+}
+
+class ConflictError extends AnythingLLMError {
+  constructor(message, details) {
+    super(message, { ...details, kind: 'conflict' });
+    this.name = 'ConflictError';
+  }
+}
+
+// 5xx from AnythingLLM
+class ServerError extends AnythingLLMError {
+  constructor(message, details) {
+    super(message, { ...details, kind: 'server' });
+    this.name = 'ServerError';
+  }
+}
+
+// No response at all – connection refused or reset, DNS failure, timeout
+class NetworkError extends AnythingLLMError {
+  constructor(message, details) {
+    super(message, { ...details, kind: 'network' });
+    this.name = 'NetworkError';
+  }
+}
+
+// AnythingLLM often reports problems as `{ error }` or `{ message }` in the body
+function bodyMessage(data) {
+  if (!data || typeof data !== 'object') return null;
+  return data.error || data.message || null;
+}
+
+// Turn an axios failure into one of the error classes above
+function normalizeError(error, { method, endpoint }) {
+  const details = { method, endpoint, code: error.code || null };
+  if (!error.response) {
+    const timedOut = error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT';
+    return new NetworkError(
+      `${method} ${endpoint} ${timedOut ? 'timed out' : `failed: ${error.message}`}`,
+      details
+    );
+  }
+
+  const { status, data, headers = {} } = error.response;
+  Object.assign(details, { status, data });
+  const retryAfter = Number(headers['retry-after']);
+  if (Number.isFinite(retryAfter) && retryAfter >= 0) details.retryAfterMs = retryAfter * 1000;
+  const message = `${method} ${endpoint} returned HTTP ${status}${bodyMessage(data) ? `: ${bodyMessage(data)}` : ''}`;
+  if (status === 401 || status === 403) return new AuthError(message, details);
+  if (status === 404) return new NotFoundError(message, details);
+  if (status === 409) return new ConflictError(message, details);
+  if (status >= 500) return new ServerError(message, details);
+  return new AnythingLLMError(message, { ...details, kind: 'request' });
+}
+
+// Resolve an option given as a value or as a function returning the current value
+const resolve = (option) => (typeof option === 'function' ? option() : option);
+
+class AnythingLLMClient {
+  /**
+   * @param {object} options - each may be a value or a function returning the current
+   *   value, so settings changed by a hot reload apply to the next request
+   * @param {string|(() => string)} options.baseUrl - e.g. 'http://127.0.0.1:3001'
+   * @param {string|(() => string)} options.apiKey
+   * @param {number|(() => number)} [options.timeout] - default request timeout in ms
+   * @param {number|(() => number)} [options.uploadTimeout] - timeout for uploads and embedding
+   */
+  constructor({ baseUrl, apiKey, timeout = 30000, uploadTimeout = 300000 }) {
+    this.options = { baseUrl, apiKey, timeout, uploadTimeout };
+    /** The shared axios instance (exposed for instrumentation) */
+    this.http = axios.create({ maxBodyLength: Infinity, maxContentLength: Infinity });
+  }
+
+  /**
+   * Send one request. `endpoint` is the route template (e.g. '/api/v1/workspace/:slug')
+   * and `params` fills its placeholders.
+   * @param {string} method
+   * @param {string} endpoint
+   * @param {object} [request] - { params, data, headers, timeout }
+   * @returns {Promise<*>} the response body
+   */
+  async request(method, endpoint, { params = {}, data, headers = {}, timeout } = {}) {
+    const path = endpoint.replace(/:(\w+)/g, (match, name) => encodeURIComponent(params[name]));
+    const signal = currentSignal();
+    if (signal && signal.aborted) throw signal.reason;
+    try {
+      const response = await this.http.request({
+        method,
+        url: `${resolve(this.options.baseUrl)}${path}`,
+        data,
+        headers: { Authorization: `Bearer ${resolve(this.options.apiKey)}`, ...headers },
+        timeout: timeout ?? resolve(this.options.timeout),
+        endpoint, // metric label (see src/metrics.js)
+        signal: signal || undefined,
+      });
+      log.debug('AnythingLLM response', { method, endpoint: path, status: response.status, response: response.data });
+      return response.data;
+    } catch (error) {
+      if (signal && signal.aborted) throw signal.reason;
+      throw normalizeError(error, { method, endpoint });
+    }
+  }
+
+  // Throw when a 2xx response doesn't carry what the endpoint promises
+  invalidResponse(method, endpoint, data, expected) {
+    const reason = bodyMessage(data);
+    return new AnythingLLMError(`${method} ${endpoint}: ${reason || `response has no ${expected}`}`, {
+      kind: 'response',
+      method,
+      endpoint,
+      data,
+    });
+  }
+
+  // The document an upload created; failed uploads can still answer 200 with `success: false`
+  storedDocument(method, endpoint, data) {
+    const document = data?.documents?.[0];
+    if (data?.success === false || !document?.location) {
+      throw this.invalidResponse(method, endpoint, data, 'document location');
+    }
+    return document;
+  }
+
+  // --- Auth ---
+
+  /**
+   * Whether the API key is valid.
+   * @param {RequestOptions} [options]
+   * @returns {Promise<boolean>}
+   */
+  async verifyAuth({ timeout } = {}) {
+    const data = await this.request('GET', '/api/v1/auth', { timeout });
+    return data?.authenticated === true;
+  }
+
+  // --- Admin ---
+
+  /**
+   * @param {RequestOptions} [options]
+   * @returns {Promise<boolean>}
+   */
+  async isMultiUserMode({ timeout } = {}) {
+    const endpoint = '/api/v1/admin/is-multi-user-mode';
+    const data = await this.request('GET', endpoint, { timeout });
+    // Only an explicit answer counts; anything else isn't a "no"
+    if (typeof data?.isMultiUser !== 'boolean') throw this.invalidResponse('GET', endpoint, data, 'isMultiUser');
+    return data.isMultiUser;
+  }
+
+  /**
+   * @returns {Promise<User[]>}
+   */
+  async listUsers() {
+    const data = await this.request('GET', '/api/v1/admin/users');
+    return data?.users || [];
+  }
+
+  /**
+   * @param {{ username: string, password: string, role?: string }} user
+   * @returns {Promise<User>}
+   */
+  async createUser({ username, password, role = 'default' }) {
+    const endpoint = '/api/v1/admin/users/new';
+    const data = await this.request('POST', endpoint, { data: { username, password, role } });
+    if (!data?.user?.id) throw this.invalidResponse('POST', endpoint, data, 'user id');
+    return data.user;
+  }
+
+  /**
+   * @param {number|string} userId
+   */
+  async deleteUser(userId) {
+    await this.request('DELETE', '/api/v1/admin/users/:id', { params: { id: userId } });
+  }
+
+  /**
+   * Give users access to a workspace.
+   * @param {string} slug
+   * @param {number[]} userIds
+   * @param {{ reset?: boolean }} [options] - reset replaces the current members
+   * @returns {Promise<object>}
+   */
+  async manageWorkspaceUsers(slug, userIds, { reset = false } = {}) {
+    return this.request('POST', '/api/v1/admin/workspaces/:slug/manage-users', {
+      params: { slug },
+      data: { userIds, reset },
+    });
+  }
+
+  /**
+   * Issue a one-time SSO login token for a user.
+   * @param {number|string} userId
+   * @returns {Promise<AuthToken>}
+   */
+  async issueAuthToken(userId) {
+    const endpoint = '/api/v1/users/:id/issue-auth-token';
+    const data = await this.request('GET', endpoint, { params: { id: userId } });
+    if (!data?.token || !data?.loginPath) throw this.invalidResponse('GET', endpoint, data, 'token');
+    return { token: data.token, loginPath: data.loginPath };
+  }
+
+  // --- Workspaces ---
+
+  /**
+   * @returns {Promise<Workspace[]>}
+   */
+  async listWorkspaces() {
+    const data = await this.request('GET', '/api/v1/workspaces');
+    return data?.workspaces || [];
+  }
+
+  /**
+   * @param {string} slug
+   * @returns {Promise<Workspace>}
+   * @throws {NotFoundError}
+   */
+  async getWorkspace(slug) {
+    const endpoint = '/api/v1/workspace/:slug';
+    const data = await this.request('GET', endpoint, { params: { slug } });
+    // Newer AnythingLLM versions wrap the workspace in an array
+    const workspace = Array.isArray(data?.workspace) ? data.workspace[0] : data?.workspace;
+    if (!workspace) throw new NotFoundError(`Workspace ${slug} not found`, { method: 'GET', endpoint, data });
+    return workspace;
+  }
+
+  /**
+   * @param {WorkspaceSettings & { name: string }} settings
+   * @returns {Promise<Workspace>}
+   */
+  async createWorkspace(settings) {
+    const endpoint = '/api/v1/workspace/new';
+    const data = await this.request('POST', endpoint, { data: settings });
+    if (!data?.workspace?.slug) throw this.invalidResponse('POST', endpoint, data, 'workspace slug');
+    return data.workspace;
+  }
+
+  /**
+   * @param {string} slug
+   * @param {WorkspaceSettings} settings
+   * @returns {Promise<Workspace>}
+   */
+  async updateWorkspace(slug, settings) {
+    const data = await this.request('POST', '/api/v1/workspace/:slug/update', { params: { slug }, data: settings });
+    return data?.workspace;
+  }
+
+  /**
+   * @param {string} slug
+   */
+  async deleteWorkspace(slug) {
+    await this.request('DELETE', '/api/v1/workspace/:slug', { params: { slug } });
+  }
+
+  /**
+   * Embed documents into, or remove them from, a workspace.
+   * @param {string} slug
+   * @param {{ adds?: string[], deletes?: string[] }} changes - document paths ('<folder>/<name>')
+   * @returns {Promise<Workspace>}
+   */
+  async updateEmbeddings(slug, { adds = [], deletes = [] }) {
+    const data = await this.request('POST', '/api/v1/workspace/:slug/update-embeddings', {
+      params: { slug },
+      data: { adds, deletes },
+      timeout: resolve(this.options.uploadTimeout),
+    });
+    return data?.workspace;
+  }
+
+  /**
+   * Send a message to a workspace, as the API (not as any user).
+   * Answers can take a while, so this uses the upload timeout.
+   * @param {string} slug
+   * @param {string} message
+   * @param {{ mode?: 'chat'|'query' }} [options] - 'query' answers only from embedded documents
+   * @returns {Promise<ChatResponse>}
+   */
+  async chat(slug, message, { mode = 'query' } = {}) {
+    const endpoint = '/api/v1/workspace/:slug/chat';
+    const data = await this.request('POST', endpoint, {
+      params: { slug },
+      data: { message, mode },
+      timeout: resolve(this.options.uploadTimeout),
+    });
+    if (data?.error) throw this.invalidResponse('POST', endpoint, data, 'answer');
+    return { textResponse: data?.textResponse || '', sources: data?.sources || [] };
+  }
+
+  // --- Documents ---
+
+  /**
+   * Upload a local file; AnythingLLM stores it in its default folder.
+   * @param {string} filePath
+   * @param {{ metadata?: DocumentMetadata }} [options]
+   * @returns {Promise<StoredDocument>} the stored document, with its `location`
+   */
+  async uploadDocument(filePath, { metadata } = {}) {
+    const endpoint = '/api/v1/document/upload';
+    const form = new FormData();
+    form.append('file', fs.createReadStream(filePath));
+    if (metadata) form.append('metadata', JSON.stringify(metadata));
+    const data = await this.request('POST', endpoint, {
+      data: form,
+      headers: form.getHeaders(),
+      timeout: resolve(this.options.uploadTimeout),
+    });
+    return this.storedDocument('POST', endpoint, data);
+  }
+
+  /**
+   * Have AnythingLLM fetch and store a web page; it lands in the default folder.
+   * @param {string} link
+   * @param {{ metadata?: DocumentMetadata }} [options]
+   * @returns {Promise<StoredDocument>}
+   */
+  async uploadLink(link, { metadata } = {}) {
+    const endpoint = '/api/v1/document/upload-link';
+    const data = await this.request('POST', endpoint, {
+      data: { link, ...(metadata && { metadata }) },
+      timeout: resolve(this.options.uploadTimeout),
+    });
+    return this.storedDocument('POST', endpoint, data);
+  }
+
+  /**
+   * Store a text snippet as a document; it lands in the default folder.
+   * @param {string} textContent
+   * @param {{ metadata: DocumentMetadata }} options - `metadata.title` is required
+   * @returns {Promise<StoredDocument>}
+   */
+  async uploadRawText(textContent, { metadata }) {
+    const endpoint = '/api/v1/document/raw-text';
+    const data = await this.request('POST', endpoint, {
+      data: { textContent, metadata },
+      timeout: resolve(this.options.uploadTimeout),
+    });
+    return this.storedDocument('POST', endpoint, data);
+  }
+
+  /**
+   * @param {string} name
+   */
+  async createFolder(name) {
+    await this.request('POST', '/api/v1/document/create-folder', { data: { name } });
+  }
+
+  /**
+   * @param {{ from: string, to: string }[]} files - storage paths
+   */
+  async moveFiles(files) {
+    await this.request('POST', '/api/v1/document/move-files', { data: { files } });
+  }
+
+  /**
+   * Documents in a storage folder.
+   * @param {string} folderName
+   * @param {RequestOptions} [options]
+   * @returns {Promise<StoredDocument[]>}
+   * @throws {NotFoundError} when the folder doesn't exist
+   */
+  async listFolder(folderName, { timeout } = {}) {
+    const endpoint = '/api/v1/documents/folder/:folder';
+    const data = await this.request('GET', endpoint, { params: { folder: folderName }, timeout });
+    if (data?.error) throw new NotFoundError(`Folder ${folderName}: ${data.error}`, { method: 'GET', endpoint, data });
+    return data?.documents || [];
+  }
+
+  /**
+   * Delete documents from storage (and from every workspace that embeds them).
+   * @param {string[]} names - storage paths
+   */
+  async removeDocuments(names) {
+    await this.request('DELETE', '/api/v1/system/remove-documents', { data: { names } });
+  }
+}
+
+module.exports = {
+  withSignal,
+  currentSignal,
+  AnythingLLMClient,
+  AnythingLLMError,
+  AuthError,
+  NotFoundError,
+  ConflictError,
+  ServerError,
+  NetworkError,
+};
@@ -0,0 +1,219 @@
+// src/api.js
+// JSON/REST provisioning API alongside the HTML flow.
+// Sessions created here run through the same provisioner and workspace
+// functions and background job runner as `GET /`.
+// The schema is in src/openapi.json.
+// A created session can only be read, logged into or deleted with the access
+// token returned when it was created (or with admin credentials).
+
+const crypto = require('crypto');
+const express = require('express');
+const openapi = require('./openapi.json');
+const profiles = require('./profiles');
+const metrics = require('./metrics');
+const { isAdminRequest, parseAuthorization, safeEqual } = require('./auth');
+const { createLogger, withContext } = require('./logger');
+
+const log = createLogger({ module: 'api' });
+
+// Structured error body: { error: { code, message, ...details } }
+function sendError(res, statusCode, code, message, details = {}) {
+  res.status(statusCode).json({ error: { code, message, ...details } });
+}
+
+// Express 4 doesn't forward rejected promises to error handlers on its own
+const wrap = (handler) => (req, res, next) => handler(req, res, next).catch(next);
+
+function generateSessionId() {
+  return `session-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+}
+
+// Only the hash of a session's access token is stored
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Register the /api routes.
+ * @param {import('express').Express} app
+ * @param {object} config - configuration object from src/config.js
+ * @param {object} workspace - module exporting core functions and constants
+ * @param {object} deps - { provisioner, pool, sessionLimiter, setupJobs }
+ */
+function registerApiRoutes(app, config, workspace, { provisioner, pool, sessionLimiter, setupJobs }) {
+  const router = express.Router();
+  router.use(express.json());
+
+  // Public view of a stored session; AnythingLLM's user ID and workspace slug stay internal
+  function toResource(sessionId, session) {
+    return {
+      id: sessionId,
+      status: session.status,
+      statusUrl: `/api/sessions/${sessionId}`,
+      profile: session.profile || profiles.DEFAULT_PROFILE,
+      createdAt: session.createdAt,
+      expiresAt: workspace.getSessionExpiry(session),
+      // Place in the provisioning queue while the setup waits for a free slot
+      queuePosition: setupJobs.getPosition(sessionId),
+      error: session.status === workspace.SESSION_STATES.FAILED
+        ? { step: session.errorStep, message: session.error }
+        : null,
+    };
+  }
+
+  // Claim + provisioning, run as a background job; the state is tracked in the store,
+  // which is where API clients see a failure (GET /api/sessions/:id).
+  async function runSetup(sessionId, profile, signal) {
+    let step = 'Claiming prepared workspace';
+    try {
+      const prepared = pool ? await pool.claimPrepared(profile.name) : null;
+      step = 'Provisioning workspace';
+      await provisioner.provisionSession(sessionId, { prepared, signal });
+      log.info('API session is ready', { sessionId });
+    } catch (error) {
+      // Failed inside the provisioning state machine, which has already recorded it and rolled back
+      if (error.step) return;
+
+      log.error('API session setup failed', { sessionId, step, err: error });
+      metrics.sessionsFailed.inc({ profile: profile.name, step });
+      const failed = await workspace.updateSession(sessionId, {
+        status: workspace.SESSION_STATES.FAILED,
+        error: error.message,
+        errorStep: step,
+      }).catch((updateError) => {
+        log.error('Could not mark API session failed', { sessionId, err: updateError });
+        return null;
+      });
+      if (failed) await provisioner.rollbackSession(sessionId, failed);
+    }
+  }
+
+  router.get('/openapi.json', (req, res) => {
+    res.json(openapi);
+  });
+
+  // Persona profile from the body, else the Host header, else the default
+  function selectProfile(req, res, next) {
+    const name = req.body && req.body.profile;
+    if (name !== undefined && typeof name !== 'string') {
+      return sendError(res, 400, 'unknown_profile', '"profile" must be a profile name');
+    }
+    const profile = profiles.resolveProfile({ name, host: req.hostname });
+    if (!profile) {
+      return sendError(res, 400, 'unknown_profile', `Profile ${name} does not exist`, {
+        profiles: profiles.listProfiles().map((p) => p.name),
+      });
+    }
+    res.locals.profile = profile;
+    next();
+  }
+
+  // Load the session named in the URL into res.locals.session. Callers must send the
+  // session's access token as a Bearer token (or admin credentials); a wrong token
+  // gets the same 404 as an unknown session.
+  const requireSessionAccess = wrap(async (req, res, next) => {
+    const sessionId = req.params.id;
+    const credentials = parseAuthorization(req.get('Authorization'));
+    if (!credentials || !['bearer', 'basic'].includes(credentials.scheme)) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return sendError(res, 401, 'unauthorized', 'Send the session\'s access token as a Bearer token');
+    }
+    const session = await workspace.getSession(sessionId);
+    const allowed = session && (
+      isAdminRequest(req, config) ||
+      (credentials.scheme === 'bearer' && Boolean(session.accessTokenHash) &&
+        safeEqual(hashToken(credentials.token), session.accessTokenHash))
+    );
+    if (!allowed) {
+      return sendError(res, 404, 'session_not_found', `Session ${sessionId} does not exist`);
+    }
+    res.locals.session = session;
+    next();
+  });
+
+  // Create a session; provisioning continues in the background
+  router.post('/sessions', selectProfile, sessionLimiter.apiMiddleware, wrap(async (req, res) => {
+    const sessionId = generateSessionId();
+    const { profile } = res.locals;
+    const accessToken = crypto.randomBytes(32).toString('base64url');
+    try {
+      const session = await provisioner.startSession(sessionId, profile, { accessTokenHash: hashToken(accessToken) });
+      setupJobs.run(sessionId, ({ signal }) =>
+        withContext({ sessionId, profile: profile.name }, () => runSetup(sessionId, profile, signal))
+      );
+      // The token is only ever shown here
+      res.status(202).location(`/api/sessions/${sessionId}`).json({ ...toResource(sessionId, session), accessToken });
+    } catch (error) {
+      log.error('Failed to create API session', { sessionId, err: error });
+      sendError(res, 500, 'session_create_failed', 'Could not record the new session', {
+        detail: error.message,
+      });
+    }
+  }));
+
+  router.get('/sessions/:id', requireSessionAccess, (req, res) => {
+    res.json(toResource(req.params.id, res.locals.session));
+  });
+
+  // Issue a fresh single-use SSO login URL for a ready session
+  router.post('/sessions/:id/login', requireSessionAccess, wrap(async (req, res) => {
+    const sessionId = req.params.id;
+    const { session } = res.locals;
+    if (session.status !== workspace.SESSION_STATES.READY) {
+      return sendError(res, 409, 'session_not_ready', `Session ${sessionId} is ${session.status}`, {
+        status: session.status,
+      });
+    }
+    if (workspace.isSessionExpired(session)) {
+      return sendError(res, 410, 'session_expired', `Session ${sessionId} has expired`);
+    }
+    try {
+      const { loginPath } = await workspace.getSSOToken(session.userId);
+      res.json({
+        id: sessionId,
+        loginUrl: workspace.buildSsoRedirectUrl(loginPath, session.workspaceSlug),
+      });
+    } catch (error) {
+      sendError(res, 502, 'upstream_error', 'AnythingLLM did not issue a login token', {
+        detail: error.message,
+      });
+    }
+  }));
+
+  // Tear down a session's workspace and user
+  router.delete('/sessions/:id', requireSessionAccess, wrap(async (req, res) => {
+    const sessionId = req.params.id;
+    const { session } = res.locals;
+    if (provisioner.IN_PROGRESS_STATES.includes(session.status)) {
+      return sendError(res, 409, 'session_busy', `Session ${sessionId} is still being set up`, {
+        status: session.status,
+      });
+    }
+    const { workspaceDeleted, userDeleted } = await workspace.destroySession(sessionId, session);
+    if (!workspaceDeleted || !userDeleted) {
+      return sendError(res, 502, 'delete_failed', 'Some resources could not be deleted; cleanup will retry', {
+        workspaceDeleted,
+        userDeleted,
+      });
+    }
+    log.info('API session deleted', { sessionId });
+    res.json({ id: sessionId, status: 'deleted' });
+  }));
+
+  router.use((req, res) => {
+    sendError(res, 404, 'not_found', `No API route for ${req.method} ${req.originalUrl}`);
+  });
+
+  // Anything that slipped through a handler becomes a structured 500
+  router.use((error, req, res, next) => {
+    if (error.type === 'entity.parse.failed') {
+      return sendError(res, 400, 'invalid_json', 'Request body is not valid JSON');
+    }
+    log.error('API error', { method: req.method, path: req.originalUrl, err: error });
+    sendError(res, 500, 'internal_error', 'Unexpected server error');
+  });
+
+  app.use('/api', router);
+}
+
+module.exports = { registerApiRoutes };
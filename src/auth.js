@@ -0,0 +1,112 @@
+// src/auth.js
+// Admin authentication for operator endpoints (/cleanup, /health, ...)
+// Accepts either a bearer token or HTTP basic credentials from config.
+
+const crypto = require('crypto');
+const { createLogger } = require('./logger');
+
+const log = createLogger({ module: 'auth' });
+
+// Constant-time string comparison. Both sides are hashed first so inputs of
+// different lengths don't leak their length through an early return.
+function safeEqual(a, b) {
+  const digestA = crypto.createHash('sha256').update(String(a)).digest();
+  const digestB = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(digestA, digestB);
+}
+
+function sendAuthError(res, statusCode, error, message) {
+  if (statusCode === 401) {
+    res.set('WWW-Authenticate', 'Basic realm="admin", charset="UTF-8"');
+  }
+  res.status(statusCode).json({ status: 'error', error, message });
+}
+
+// Parse the Authorization header into { scheme, token } or { scheme, username, password }
+function parseAuthorization(header) {
+  if (!header) return null;
+  const [scheme, ...rest] = header.split(' ');
+  const value = rest.join(' ').trim();
+  if (/^bearer$/i.test(scheme)) {
+    return { scheme: 'bearer', token: value };
+  }
+  if (/^basic$/i.test(scheme)) {
+    const decoded = Buffer.from(value, 'base64').toString('utf8');
+    const separator = decoded.indexOf(':');
+    if (separator === -1) return { scheme: 'basic', username: decoded, password: '' };
+    return {
+      scheme: 'basic',
+      username: decoded.slice(0, separator),
+      password: decoded.slice(separator + 1),
+    };
+  }
+  return { scheme: scheme.toLowerCase() };
+}
+
+function checkCredentials(credentials, config) {
+  if (credentials.scheme === 'bearer' && config.ADMIN_TOKEN) {
+    return safeEqual(credentials.token, config.ADMIN_TOKEN);
+  }
+  if (credentials.scheme === 'basic' && config.ADMIN_USERNAME && config.ADMIN_PASSWORD) {
+    // Evaluate both comparisons so a wrong username takes as long as a wrong password
+    const userOk = safeEqual(credentials.username, config.ADMIN_USERNAME);
+    const passOk = safeEqual(credentials.password, config.ADMIN_PASSWORD);
+    return userOk && passOk;
+  }
+  return false;
+}
+
+/**
+ * Whether a request carries valid admin credentials, for routes that also
+ * accept other credentials (e.g. a session's own API token).
+ * @param {import('express').Request} req
+ * @param {object} config - configuration object from src/config.js
+ * @returns {boolean}
+ */
+function isAdminRequest(req, config) {
+  const credentials = parseAuthorization(req.get('Authorization'));
+  return Boolean(credentials) && checkCredentials(credentials, config);
+}
+
+/**
+ * Express middleware that only lets authenticated operators through.
+ * - 401 when no (or an unsupported) Authorization header is sent
+ * - 403 when credentials are wrong, or when no admin credentials are configured
+ * @param {object} config - configuration object from src/config.js
+ */
+function requireAdmin(config) {
+  const configured = Boolean(config.ADMIN_TOKEN || (config.ADMIN_USERNAME && config.ADMIN_PASSWORD));
+  if (!configured) {
+    log.warn('Admin credentials not configured – operator endpoints are disabled');
+  }
+
+  return (req, res, next) => {
+    if (!configured) {
+      return sendAuthError(
+        res,
+        403,
+        'admin_disabled',
+        'Admin access is disabled: set ADMIN_TOKEN or ADMIN_USERNAME/ADMIN_PASSWORD'
+      );
+    }
+
+    const credentials = parseAuthorization(req.get('Authorization'));
+    if (!credentials || !['bearer', 'basic'].includes(credentials.scheme)) {
+      return sendAuthError(
+        res,
+        401,
+        'unauthorized',
+        'Authentication required: use a Bearer token or HTTP Basic credentials'
+      );
+    }
+
+    if (!checkCredentials(credentials, config)) {
+      log.warn('Rejected admin request', { method: req.method, path: req.path, ip: req.ip });
+      return sendAuthError(res, 403, 'forbidden', 'Invalid admin credentials');
+    }
+
+    next();
+  };
+}
+
+module.exports = { requireAdmin, isAdminRequest, parseAuthorization, safeEqual };
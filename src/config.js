@@ -1,75 +1,144 @@
 // src/config.js
-// Centralized configuration loaded from environment variables
+// Centralized configuration – an optional YAML/JSON config file (CONFIG_FILE)
+// overridden by environment variables, validated against the schema below.
+// Loading throws a ConfigError listing every missing or invalid setting.
+// Entries marked `restart` are only read at startup; the rest can be hot-reloaded
+// (see src/hotReload.js).
 
 require('dotenv').config(); // Load .env variables
 
-const PORT = process.env.PORT || 3000;
-const CLEANUP_ENABLED = process.env.CLEANUP_ENABLED === 'true';
-const CLEANUP_CRON = process.env.CLEANUP_CRON || '0 0 * * 0'; // Weekly at midnight on Sunday
-
-const WORKSPACE_NAME = process.env.WORKSPACE_NAME || 'Portfolio Workspace';
-const API_KEY = process.env.API_KEY;
-const LLM_API_URL = process.env.LLM_API_URL || "http://127.0.0.1:3001";
-const USER_ID = process.env.USER_ID || '2';
-
-const SIMILARITY_THRESHOLD = process.env.SIMILARITY_THRESHOLD || '0.7';
-const OPENAI_TEMP = process.env.OPENAI_TEMP || '0.7';
-const OPENAI_HISTORY = process.env.OPENAI_HISTORY || '20';
-const OPENAI_PROMPT = `
-Primary Objective: Your core mission is to engage with recruiters and hiring managers, providing them with accurate, positive, and compelling information about my qualifications, experience, and technical abilities. Your goal is to highlight my strengths and achievements to generate professional opportunities.
-
-Knowledge Base: You are operating within an AnythingLLM environment. All of your responses MUST be based exclusively on the information contained within my resume and portfolio, which have been provided to you as vectorized documents via a Qdrant database. You MUST use only these documents as your knowledge source. Do not invent, speculate, embellish, or hallucinate any details outside of this context.
-
-Mandatory Guardrails & Rules of Engagement:
-
-Maintain Strict Relevance: You must only answer questions directly related to my professional background. This includes my work experience, technical skills, projects, education, and professional achievements. If a question is not relevant to my qualifications as a software engineer, you must politely decline to answer.
-
-Example Deflection: "My purpose is to provide information regarding my professional expertise and experience. I can't answer questions outside of that scope. Would you like to know more about my work in cloud computing?"
-
-Uphold Unwavering Professionalism: You are to engage in a professional and courteous manner at all times. Under no circumstances should you respond to questions that are unprofessional, overly personal, inappropriate, or negative in nature.
-
-Forbidden Topics Include: Personal life, relationships, political views, gossip, or any speculative questions designed to cast me in a negative light (e.g., "What are your weaknesses?", "Have you ever been fired?", "Are you a bad guy?").
-
-Positive Framing Only: Frame all of my experiences and skills in a positive and confident light. When asked about challenges or complex projects, focus on the skills I demonstrated and the successful outcomes I achieved. Do not interpret any information from my resume in a negative way.
-
-Do Not Answer Speculative Questions: If asked a hypothetical question that is not covered by my resume (e.g., "Would you be willing to relocate to Mars?"), state that you can only provide information based on my documented experience and suggest that such questions would be best discussed with me directly.
-
-Example Response: "That's an interesting question. My knowledge is limited to the information in my professional portfolio. A question like that would be a great one to ask me directly during an interview."
-
-Always Be Helpful and Proactive: While staying within the guardrails, be as helpful as possible. If a recruiter asks a general question, offer specific examples from my resume. For instance, if they ask "Are you a team player?", respond with, "Yes, absolutely. In my role at [Previous Company], I collaborated with a team of 5 engineers to successfully deliver the [Project Name] ahead of schedule, demonstrating strong teamwork and communication skills."
-
-Final Instruction: Your identity is the AI representation of Jonathan Pi. Your sole function is to professionally and positively represent my career achievements, always speaking in the first person.
-`;
-const QUERY_REFUSAL_RESPONSE = `
-"I cannot answer that question. My purpose is to provide information strictly related to Jonathan Pi's professional qualifications and experience. How can I assist you regarding his technical skills or project history?"
-`;
-const CHAT_MODE = process.env.CHAT_MODE || 'chat';
-const TOP_N = process.env.TOP_N || '4';
-
-// Feature toggles
-// Corrected logic: defaults to false if env var is not 'true'
-const SKIP_DOCUMENTS = process.env.SKIP_DOCUMENTS === 'true'; // Defaults to false if not set or set to something other than 'true'
-const SKIP_USER_ADDITION = process.env.SKIP_USER_ADDITION === 'true'; // Defaults to false if not set or set to something other than 'true'
-
-// NOTE: DOCUMENTS_TO_ADD is now determined dynamically in workspace.js
-// by listing the contents of the 'custom-documents' folder.
-
-module.exports = {
-  PORT,
-  CLEANUP_ENABLED,
-  CLEANUP_CRON,
-  WORKSPACE_NAME,
-  API_KEY,
-  LLM_API_URL,
-  USER_ID,
-  SIMILARITY_THRESHOLD,
-  OPENAI_TEMP,
-  OPENAI_HISTORY,
-  OPENAI_PROMPT,
-  QUERY_REFUSAL_RESPONSE,
-  CHAT_MODE,
-  TOP_N,
-  SKIP_DOCUMENTS,
-  SKIP_USER_ADDITION,
-  // DOCUMENTS_TO_ADD is removed as it's now dynamic
-};
\ No newline at end of file
+const { loadConfig } = require('./configLoader');
+
+const SCHEMA = {
+  PORT: { type: 'integer', default: 3000, min: 1, max: 65535, restart: true },
+  CLEANUP_ENABLED: { type: 'boolean', default: false, restart: true },
+  CLEANUP_CRON: { type: 'cron', default: '*/15 * * * *', restart: true }, // Sweep for expired sessions every 15 minutes
+
+  // Session store backend: 'json' (data/sessions.json) or 'sqlite' (data/sessions.db)
+  SESSION_STORE: { type: 'string', values: ['json', 'sqlite'], default: 'json', restart: true },
+  SESSION_DB_FILE: { type: 'string', default: '', restart: true },
+
+  // What to do on startup with sessions whose setup was interrupted
+  RECOVERY_ACTION: { type: 'string', values: ['resume', 'rollback'], default: 'resume' },
+
+  // Session lifetime – each session expires this many hours after it is created
+  SESSION_TTL_HOURS: { type: 'number', default: 24, min: 0 },
+  // Hours added to a live session's expiry each time it is extended
+  SESSION_EXTEND_HOURS: { type: 'number', default: (values) => values.SESSION_TTL_HOURS, min: 0 },
+
+  // Express "trust proxy" setting – we run behind Traefik, so trust one hop by default
+  TRUST_PROXY: { type: 'trustProxy', default: 1, restart: true },
+
+  // Abuse protection for session creation (0 disables a limit)
+  RATE_LIMIT_WINDOW_MS: { type: 'integer', default: 3600000, min: 1, restart: true }, // 1 hour
+  RATE_LIMIT_PER_IP: { type: 'integer', default: 5, min: 0 },
+  RATE_LIMIT_GLOBAL: { type: 'integer', default: 100, min: 0 },
+  MAX_LIVE_SESSIONS: { type: 'integer', default: 50, min: 0 },
+
+  // Secret used to sign the cookie that maps a browser to its session.
+  // Without one, a random secret is generated and returning visitors are forgotten on restart.
+  COOKIE_SECRET: { type: 'string', default: '', secret: true, restart: true },
+
+  // Orphan reconciliation – optional schedule; reports only unless RECONCILE_DELETE=true
+  RECONCILE_CRON: { type: 'cron', default: '', restart: true },
+  RECONCILE_DELETE: { type: 'boolean', default: false },
+  // Skip resources younger than this – a setup in progress may not have recorded them yet
+  RECONCILE_GRACE_MINUTES: { type: 'number', default: 30, min: 0 },
+
+  // Warm pool – number of fully prepared user + workspace pairs kept ready (0 disables)
+  POOL_SIZE: { type: 'integer', default: 0, min: 0, restart: true },
+  POOL_REFILL_INTERVAL_MS: { type: 'integer', default: 60000, min: 1000, restart: true },
+
+  // Persona profiles beyond the default one (see src/profiles.js); the file is optional
+  PROFILES_FILE: { type: 'string', default: 'profiles.json' },
+
+  WORKSPACE_NAME: { type: 'string', default: 'Portfolio Workspace' },
+  API_KEY: { type: 'string', required: true, secret: true },
+  LLM_API_URL: { type: 'url', default: 'http://127.0.0.1:3001' },
+  // AnythingLLM request timeouts – uploads and embedding get longer, as they include document processing
+  API_TIMEOUT_MS: { type: 'integer', default: 30000, min: 1000 },
+  API_UPLOAD_TIMEOUT_MS: { type: 'integer', default: 300000, min: 1000 },
+  // Retries of failed AnythingLLM calls – attempts in total, and the exponential backoff range
+  API_RETRY_ATTEMPTS: { type: 'integer', default: 3, min: 1 },
+  API_RETRY_BASE_DELAY_MS: { type: 'integer', default: 1000, min: 0 },
+  API_RETRY_MAX_DELAY_MS: { type: 'integer', default: 10000, min: 0 },
+  USER_ID: { type: 'string', default: '2' },
+
+  // Admin credentials for operator endpoints – a bearer token, basic auth, or both
+  ADMIN_TOKEN: { type: 'string', default: '', secret: true, restart: true },
+  ADMIN_USERNAME: { type: 'string', default: '', restart: true },
+  ADMIN_PASSWORD: { type: 'string', default: '', secret: true, restart: true },
+
+  // Workspace settings for the default profile
+  SIMILARITY_THRESHOLD: { type: 'number', default: 0.7, min: 0, max: 1 },
+  OPENAI_TEMP: { type: 'number', default: 0.7, min: 0 },
+  OPENAI_HISTORY: { type: 'integer', default: 20, min: 0 },
+  CHAT_MODE: { type: 'string', values: ['chat', 'query'], default: 'chat' },
+  TOP_N: { type: 'integer', default: 4, min: 1 },
+
+  // System prompt and refusal text – set the text directly, or point at a file
+  // (paths are relative to the app directory)
+  OPENAI_PROMPT_FILE: { type: 'string', default: 'prompts/portfolio-prompt.txt' },
+  OPENAI_PROMPT: { type: 'string', fromFile: 'OPENAI_PROMPT_FILE' },
+  QUERY_REFUSAL_RESPONSE_FILE: { type: 'string', default: 'prompts/portfolio-refusal.txt' },
+  QUERY_REFUSAL_RESPONSE: { type: 'string', fromFile: 'QUERY_REFUSAL_RESPONSE_FILE' },
+
+  // Provisioning queue – setups running at once (the rest wait in line), and how long one may take
+  PROVISION_CONCURRENCY: { type: 'integer', default: 3, min: 1 },
+  // A setup still running after this long is aborted and rolled back (0 disables)
+  PROVISION_TIMEOUT_MS: { type: 'integer', default: 600000, min: 0 },
+  // New sessions are turned away as busy (503) while this many setups wait in line (0 for no limit)
+  PROVISION_QUEUE_LIMIT: { type: 'integer', default: 50, min: 0 },
+
+  // Documents uploaded at once while syncing a profile's folder
+  DOCUMENT_UPLOAD_CONCURRENCY: { type: 'integer', default: 3, min: 1 },
+  // Files the sync uploads: comma-separated extensions (empty allows any) and a size limit (0 for none).
+  // Others are skipped and reported, as are empty files, duplicates and files whose content doesn't match
+  DOCUMENT_EXTENSIONS: {
+    type: 'string',
+    default: 'pdf,docx,pptx,xlsx,odt,odp,epub,rtf,txt,md,org,adoc,rst,csv,json,html,htm,xml,mbox',
+  },
+  DOCUMENT_MAX_SIZE_MB: { type: 'number', default: 25, min: 0 },
+  // How long setup waits for a workspace's documents to show up as embedded, and how often it checks
+  EMBEDDING_WAIT_TIMEOUT_MS: { type: 'integer', default: 60000, min: 0 },
+  EMBEDDING_POLL_INTERVAL_MS: { type: 'integer', default: 2000, min: 100 },
+  // Check a new workspace's documents before hand-over: fail (and roll back) or warn when
+  // they're missing, or skip the check
+  VERIFY_MODE: { type: 'string', values: ['fail', 'warn', 'off'], default: 'fail' },
+  // Optional question the workspace must answer from its documents (costs one LLM call per setup)
+  VERIFY_CANARY_QUERY: { type: 'string', default: '' },
+
+  // Feature toggles
+  SKIP_DOCUMENTS: { type: 'boolean', default: false },
+  SKIP_USER_ADDITION: { type: 'boolean', default: false },
+
+  // Readiness probes against AnythingLLM (see src/readiness.js)
+  READINESS_TIMEOUT_MS: { type: 'integer', default: 3000, min: 100 },
+  // Probe results are reused for this long so frequent health checks don't load the API
+  READINESS_CACHE_MS: { type: 'integer', default: 10000, min: 0 },
+
+  // Logging – verbosity, and JSON lines (for log collectors) or readable text
+  LOG_LEVEL: { type: 'string', values: ['debug', 'info', 'warn', 'error'], default: 'info' },
+  LOG_FORMAT: { type: 'string', values: ['json', 'text'], default: 'json' },
+
+  // Watch the config, profiles, prompt and document files and reload on change
+  HOT_RELOAD: { type: 'boolean', default: true, restart: true },
+};
+
+// NOTE: the documents to add are determined dynamically in src/documents.js
+// by listing the contents of each profile's documents folder.
+
+// Read and validate the config file and environment, without applying anything
+function readSettings() {
+  return loadConfig(SCHEMA, {
+    file: process.env.CONFIG_FILE || 'config.yaml',
+    fileRequired: Boolean(process.env.CONFIG_FILE),
+  });
+}
+
+module.exports = readSettings();
+// Not settings themselves, so kept out of enumeration
+Object.defineProperties(module.exports, {
+  SCHEMA: { value: SCHEMA },
+  readSettings: { value: readSettings },
+});
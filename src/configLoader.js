@@ -0,0 +1,183 @@
+// src/configLoader.js
+// Loads settings from an optional YAML/JSON config file and the environment,
+// validates them against the schema in src/config.js and reports every
+// problem at once. Environment variables override the config file.
+
+const fs = require('fs');
+const path = require('path');
+const cron = require('node-cron');
+const YAML = require('yaml');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+// Thrown when one or more settings are missing or invalid
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n${problems.map((problem) => `  - ${problem}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+// Each type turns a raw value (a string from the environment, or any YAML/JSON
+// value from the config file) into its typed form, or throws with the reason
+const TYPES = {
+  string(value) {
+    if (typeof value !== 'string' && typeof value !== 'number') throw new Error('expected a string');
+    return String(value);
+  },
+  integer(value) {
+    const number = typeof value === 'string' && /^-?\d+$/.test(value.trim()) ? Number(value) : value;
+    if (!Number.isInteger(number)) throw new Error('expected a whole number');
+    return number;
+  },
+  number(value) {
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof number !== 'number' || !Number.isFinite(number)) throw new Error('expected a number');
+    return number;
+  },
+  boolean(value) {
+    if (value === true || value === 'true') return true;
+    if (value === false || value === 'false') return false;
+    throw new Error('expected true or false');
+  },
+  url(value) {
+    const url = TYPES.string(value);
+    try {
+      new URL(url);
+    } catch (error) {
+      throw new Error('expected an absolute URL');
+    }
+    return url.replace(/\/+$/, '');
+  },
+  cron(value) {
+    const expression = TYPES.string(value);
+    if (!cron.validate(expression)) throw new Error('expected a cron expression');
+    return expression;
+  },
+  // Express "trust proxy": a hop count, true/false, or a comma-separated list of addresses/subnets
+  trustProxy(value) {
+    if (value === true || value === 'true') return true;
+    if (value === false || value === 'false') return false;
+    if (Number.isInteger(value)) return value;
+    if (typeof value === 'string' && /^\d+$/.test(value)) return parseInt(value, 10);
+    return TYPES.string(value);
+  },
+};
+
+/**
+ * Read a YAML or JSON file (chosen by extension) into a plain object.
+ * @param {string} file - absolute path
+ */
+function readConfigFile(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  const data = /\.ya?ml$/i.test(file) ? YAML.parse(text) : JSON.parse(text);
+  if (data == null) return {};
+  if (typeof data !== 'object' || Array.isArray(data)) throw new Error('expected a mapping of settings');
+  return data;
+}
+
+// Path of a setting that names a file, relative to the app directory
+function resolvePath(file) {
+  return path.resolve(ROOT_DIR, file);
+}
+
+function describe(value, spec) {
+  return spec.secret ? '(hidden)' : JSON.stringify(value);
+}
+
+// Convert and range-check one raw value against its schema entry
+function parseValue(raw, spec) {
+  const value = TYPES[spec.type](raw);
+  if (spec.values && !spec.values.includes(value)) {
+    throw new Error(`expected one of ${spec.values.join(', ')}`);
+  }
+  if (spec.min !== undefined && value < spec.min) throw new Error(`must be at least ${spec.min}`);
+  if (spec.max !== undefined && value > spec.max) throw new Error(`must be at most ${spec.max}`);
+  return value;
+}
+
+/**
+ * Resolve every setting in `schema`. Precedence: environment, config file, default.
+ * Empty environment values count as unset.
+ *
+ * Schema entries: { type, default, required, values, min, max, secret, fromFile }.
+ * `default` may be a function of the settings resolved before it; `fromFile`
+ * names a setting holding a file path to read the text from when the value itself is unset.
+ *
+ * @param {object} schema - setting name -> entry
+ * @param {object} [options]
+ * @param {object} [options.env] - defaults to process.env
+ * @param {string} [options.file] - config file path; a missing file is only an error if `required`
+ * @param {boolean} [options.fileRequired]
+ * @returns {object} typed settings, plus CONFIG_FILE (the file actually loaded, or null)
+ * @throws {ConfigError} listing every missing or invalid setting
+ */
+function loadConfig(schema, { env = process.env, file, fileRequired = false } = {}) {
+  const problems = [];
+  let fileValues = {};
+  let loadedFile = null;
+
+  if (file) {
+    const filePath = resolvePath(file);
+    try {
+      fileValues = readConfigFile(filePath);
+      loadedFile = filePath;
+    } catch (error) {
+      if (error.code !== 'ENOENT' || fileRequired) {
+        problems.push(`CONFIG_FILE: could not load ${filePath}: ${error.message}`);
+      }
+    }
+    for (const key of Object.keys(fileValues)) {
+      if (!schema[key]) problems.push(`${key}: unknown setting in ${filePath}`);
+    }
+  }
+
+  const values = {};
+  for (const [key, spec] of Object.entries(schema)) {
+    let raw;
+    let source;
+    if (env[key] !== undefined && env[key] !== '') {
+      raw = env[key];
+      source = 'environment';
+    } else if (fileValues[key] !== undefined && fileValues[key] !== null && fileValues[key] !== '') {
+      raw = fileValues[key];
+      source = path.basename(loadedFile);
+    }
+
+    if (raw === undefined) {
+      if (spec.fromFile && values[spec.fromFile]) {
+        const textFile = resolvePath(values[spec.fromFile]);
+        try {
+          values[key] = fs.readFileSync(textFile, 'utf8');
+        } catch (error) {
+          problems.push(`${key}: could not read ${spec.fromFile} ${textFile}: ${error.message}`);
+        }
+        continue;
+      }
+      if (spec.required) {
+        problems.push(`${key}: required but not set`);
+        continue;
+      }
+      values[key] = typeof spec.default === 'function' ? spec.default(values) : spec.default;
+      continue;
+    }
+
+    try {
+      values[key] = parseValue(raw, spec);
+    } catch (error) {
+      problems.push(`${key}: ${error.message}, got ${describe(raw, spec)} (from ${source})`);
+    }
+  }
+
+  if (problems.length > 0) throw new ConfigError(problems);
+  return { ...values, CONFIG_FILE: loadedFile };
+}
+
+module.exports = {
+  ConfigError,
+  loadConfig,
+  parseValue,
+  readConfigFile,
+  resolvePath,
+};
@@ -0,0 +1,377 @@
+// src/documents.js
+// Document sync – uploads each profile's documents to AnythingLLM once and reuses them.
+// Documents are the files in the profile's documents directory plus the entries of
+// an optional source list there (sources.yaml/.json): local files with a title and
+// metadata, web pages AnythingLLM fetches itself, and inline text.
+// Each document is hashed; a manifest maps each hash to the location AnythingLLM
+// stored it under, so new workspaces only need update-embeddings.
+// Every AnythingLLM folder has its own section of the manifest.
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const { createReadStream } = require('fs');
+const path = require('path');
+const { ConfigError, readConfigFile } = require('./configLoader');
+const { checkContentType } = require('./fileTypes');
+const { createLogger } = require('./logger');
+
+const log = createLogger({ module: 'documents' });
+
+const MANIFEST_FILE = path.join(__dirname, '..', 'data', 'documents.json');
+// Manifests written before profiles existed only covered this folder
+const LEGACY_FOLDER = 'custom-documents';
+
+// Source list file names looked for in a documents directory, in order of preference
+const SOURCES_FILES = ['sources.yaml', 'sources.yml', 'sources.json'];
+
+// Only one sync runs per folder at a time; concurrent callers share its result
+const syncsInFlight = new Map(); // Map<folderName, Promise>
+const lastSyncs = {}; // folderName -> summary of its last sync
+
+// Serializes manifest writes, since folders can sync concurrently
+let manifestQueue = Promise.resolve();
+
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    createReadStream(filePath)
+      .on('error', reject)
+      .on('data', (chunk) => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+const hashText = (...parts) => crypto.createHash('sha256').update(parts.join('\n')).digest('hex');
+
+// Whole manifest: { folders: { [folderName]: { [hash]: { kind, name, location, uploadedAt } } } }
+async function loadManifest() {
+  try {
+    const data = JSON.parse(await fs.readFile(MANIFEST_FILE, 'utf8'));
+    return data.folders ? data : { folders: { [LEGACY_FOLDER]: data } };
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      log.error('Error loading document manifest', { err: error });
+    }
+    return { folders: {} };
+  }
+}
+
+// Replace one folder's section of the manifest
+function saveFolderManifest(folderName, entries) {
+  manifestQueue = manifestQueue.then(async () => {
+    try {
+      const manifest = await loadManifest();
+      manifest.folders[folderName] = entries;
+      await fs.mkdir(path.dirname(MANIFEST_FILE), { recursive: true });
+      await fs.writeFile(MANIFEST_FILE, JSON.stringify(manifest, null, 2), 'utf8');
+    } catch (error) {
+      log.error('Error saving document manifest', { err: error });
+    }
+  });
+  return manifestQueue;
+}
+
+/**
+ * Read and validate the source list in a documents directory.
+ * Every problem is reported at once, like settings are.
+ * @param {string} documentsDir
+ * @returns {{ file: string|null, sources: object[] }} entries as
+ *   { kind: 'file'|'url'|'text', name, filePath|url|text, metadata }
+ * @throws {ConfigError}
+ */
+function loadSources(documentsDir) {
+  let file = null;
+  let data;
+  for (const candidate of SOURCES_FILES) {
+    try {
+      data = readConfigFile(path.join(documentsDir, candidate));
+      file = path.join(documentsDir, candidate);
+      break;
+    } catch (error) {
+      if (error.code === 'ENOENT') continue;
+      throw new ConfigError([`Could not read document sources from ${path.join(documentsDir, candidate)}: ${error.message}`]);
+    }
+  }
+  if (!file) return { file: null, sources: [] };
+
+  const problems = [];
+  const list = data.sources || [];
+  if (!Array.isArray(list)) problems.push('"sources" must be a list');
+
+  const sources = [];
+  const names = new Set();
+  (Array.isArray(list) ? list : []).forEach((entry, i) => {
+    const fail = (message) => problems.push(`sources[${i}]: ${message}`);
+    if (!entry || typeof entry !== 'object') return fail('expected an object');
+    const kinds = ['file', 'url', 'text'].filter((kind) => entry[kind] !== undefined);
+    if (kinds.length !== 1) return fail('set exactly one of "file", "url" or "text"');
+    const [kind] = kinds;
+    if (typeof entry[kind] !== 'string' || entry[kind].trim() === '') return fail(`"${kind}" must be a non-empty string`);
+    if (entry.title !== undefined && typeof entry.title !== 'string') return fail('"title" must be a string');
+    const extra = entry.metadata || {};
+    if (typeof extra !== 'object' || Array.isArray(extra) || Object.values(extra).some((value) => typeof value !== 'string')) {
+      return fail('"metadata" must map names to strings');
+    }
+    const metadata = { ...extra, ...(entry.title && { title: entry.title }) };
+
+    let source;
+    if (kind === 'file') {
+      // Relative to the documents directory; the source list itself can't be uploaded
+      const filePath = path.resolve(documentsDir, entry.file);
+      if (filePath === file) return fail('"file" can\'t be the source list itself');
+      source = { kind, name: path.relative(documentsDir, filePath), filePath, metadata };
+    } else if (kind === 'url') {
+      let url;
+      try {
+        url = new URL(entry.url);
+      } catch (error) {
+        return fail('"url" must be an absolute URL');
+      }
+      if (!['http:', 'https:'].includes(url.protocol)) return fail('"url" must be an http(s) URL');
+      source = { kind, name: entry.url, url: entry.url, metadata };
+    } else {
+      // AnythingLLM names stored text after its title
+      if (!metadata.title) return fail('text sources need a "title"');
+      source = { kind, name: metadata.title, text: entry.text, metadata };
+    }
+    if (names.has(source.name)) return fail(`"${source.name}" is listed twice`);
+    names.add(source.name);
+    sources.push(source);
+  });
+
+  if (problems.length > 0) {
+    throw new ConfigError(problems.map((problem) => `${path.basename(file)}: ${problem}`));
+  }
+  return { file, sources };
+}
+
+const formatBytes = (bytes) =>
+  bytes >= 1024 * 1024 ? `${(bytes / (1024 * 1024)).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`;
+
+// Why a file may not be uploaded, or null if it may: its extension must be allowed,
+// it must not be empty or too large, and its content must match its extension
+async function checkFile(filePath, { extensions, maxBytes }) {
+  const extension = path.extname(filePath).slice(1).toLowerCase();
+  if (extensions && !extensions.includes(extension)) {
+    return extension ? `.${extension} files are not allowed` : 'files without an extension are not allowed';
+  }
+  const { size } = await fs.stat(filePath);
+  if (size === 0) return 'file is empty';
+  if (maxBytes > 0 && size > maxBytes) return `file is larger than ${formatBytes(maxBytes)} (${formatBytes(size)})`;
+  return checkContentType(filePath, extension);
+}
+
+// Everything to sync from a documents directory, each with a hash of what would be uploaded,
+// and the documents validation skipped, each with its reason.
+// Files without a source list entry are uploaded as they are, as before source lists existed.
+async function collectDocuments(documentsDir, validation) {
+  const { file: sourcesFile, sources } = loadSources(documentsDir);
+
+  let files = [];
+  try {
+    files = await fs.readdir(documentsDir);
+  } catch (error) {
+    log.warn('No local documents folder found or error reading it', { documentsDir, err: error });
+  }
+  const listed = new Set(sources.filter((source) => source.kind === 'file').map((source) => source.filePath));
+  const unlisted = [];
+  for (const file of files) {
+    if (file.startsWith('.')) continue; // skip hidden files
+    const filePath = path.join(documentsDir, file);
+    if (filePath === sourcesFile || listed.has(filePath)) continue;
+    const stat = await fs.stat(filePath);
+    if (!stat.isFile()) continue;
+    unlisted.push({ kind: 'file', name: file, filePath, metadata: {} });
+  }
+
+  const documents = [];
+  const skipped = [];
+  const seen = new Map(); // content hash -> name of the first document with that content
+  for (const source of [...unlisted, ...sources]) {
+    const metadata = Object.keys(source.metadata).length > 0 ? JSON.stringify(source.metadata) : null;
+    let contentHash;
+    let hash;
+    if (source.kind === 'file') {
+      let reason;
+      try {
+        reason = await checkFile(source.filePath, validation);
+        if (!reason) contentHash = await hashFile(source.filePath);
+      } catch (error) {
+        // A listed file that is missing fails on its own, like a failed upload
+        documents.push({ ...source, error });
+        continue;
+      }
+      if (reason) {
+        skipped.push({ file: source.name, reason });
+        continue;
+      }
+      // Plain files keep their content hash, so manifests from before source lists still match
+      hash = metadata ? hashText(contentHash, metadata) : contentHash;
+    } else if (source.kind === 'text') {
+      const size = Buffer.byteLength(source.text);
+      if (validation.maxBytes > 0 && size > validation.maxBytes) {
+        skipped.push({ file: source.name, reason: `text is larger than ${formatBytes(validation.maxBytes)} (${formatBytes(size)})` });
+        continue;
+      }
+      contentHash = hashText(source.text);
+      hash = hashText(source.kind, source.text, metadata || '');
+    } else {
+      // Web pages are fetched again only when their entry changes; AnythingLLM checks what it fetches
+      hash = hashText(source.kind, source.url, metadata || '');
+    }
+
+    if (contentHash && seen.has(contentHash)) {
+      skipped.push({ file: source.name, reason: `duplicate of ${seen.get(contentHash)}` });
+      continue;
+    }
+    if (contentHash) seen.set(contentHash, source.name);
+    documents.push({ ...source, hash });
+  }
+  for (const { file, reason } of skipped) log.warn('Skipping document', { file, reason });
+  return { documents, skipped };
+}
+
+// Upload one document through the matching API call; returns its location
+function uploadSource(api, { kind, filePath, url, text, metadata }) {
+  const options = Object.keys(metadata).length > 0 ? { metadata } : {};
+  if (kind === 'url') return api.uploadLink(url, options);
+  if (kind === 'text') return api.uploadText(text, options);
+  return api.uploadDocument(filePath, options);
+}
+
+// Names of documents currently in the remote folder, or null if it can't be listed
+async function listRemoteNames(api, folderName) {
+  try {
+    const documents = await api.listDocumentsInFolder(folderName);
+    return new Set(documents.map((doc) => doc.name));
+  } catch (error) {
+    log.warn('Could not list remote folder, trusting manifest', { folderName, err: error });
+    return null;
+  }
+}
+
+// Map `items` through `fn` with at most `limit` calls in flight
+async function mapConcurrent(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+async function runSync(api, { folderName, documentsDir, concurrency = 1, validation = {} }) {
+  log.info('Syncing documents with AnythingLLM', { documentsDir, folderName });
+  const manifest = (await loadManifest()).folders[folderName] || {};
+  const { documents: localDocuments, skipped } = await collectDocuments(documentsDir, validation);
+  const remoteNames = await listRemoteNames(api, folderName);
+
+  const result = { uploaded: [], reused: [], removed: [], skipped, failed: [], locations: [] };
+  const nextManifest = {};
+
+  // Up to `concurrency` uploads run at once; results keep the directory order
+  const outcomes = await mapConcurrent(localDocuments, concurrency, async (document) => {
+    const { kind, name, hash } = document;
+    if (document.error) {
+      log.error('Failed to read document', { kind, name, err: document.error });
+      return { name, error: document.error };
+    }
+    const cached = manifest[hash];
+    const stillRemote =
+      cached && (!remoteNames || remoteNames.has(path.basename(cached.location)));
+    if (cached && stillRemote) {
+      return { name, hash, entry: { kind, name, location: cached.location, uploadedAt: cached.uploadedAt }, reused: true };
+    }
+
+    try {
+      const location = await uploadSource(api, document);
+      return { name, hash, entry: { kind, name, location, uploadedAt: new Date().toISOString() }, reused: false };
+    } catch (error) {
+      log.error('Failed to upload document', { kind, name, err: error });
+      return { name, error };
+    }
+  });
+
+  for (const { name, hash, entry, reused, error } of outcomes) {
+    if (error) {
+      result.failed.push({ file: name, error: error.message });
+      continue;
+    }
+    nextManifest[hash] = entry;
+    (reused ? result.reused : result.uploaded).push(name);
+    result.locations.push(entry.location);
+  }
+
+  // Remove remote copies of files that were deleted, changed locally or are now skipped
+  const stale = Object.keys(manifest)
+    .filter((hash) => !nextManifest[hash])
+    .map((hash) => manifest[hash].location);
+  if (stale.length > 0) {
+    try {
+      await api.removeDocuments(stale);
+      result.removed.push(...stale);
+    } catch (error) {
+      log.error('Failed to remove stale documents', { folderName, err: error });
+    }
+  }
+
+  await saveFolderManifest(folderName, nextManifest);
+  lastSyncs[folderName] = {
+    at: new Date().toISOString(),
+    uploaded: result.uploaded.length,
+    reused: result.reused.length,
+    removed: result.removed.length,
+    skipped: result.skipped.length,
+    failed: result.failed.length,
+    // Which documents didn't make it, and why
+    report: { skipped: result.skipped, failed: result.failed },
+  };
+  log.info('Document sync complete', {
+    folderName,
+    uploaded: result.uploaded.length,
+    reused: result.reused.length,
+    removed: result.removed.length,
+    skipped: result.skipped.length,
+    failed: result.failed.length,
+  });
+  return result;
+}
+
+/**
+ * Bring an AnythingLLM folder in line with a documents directory and its source list.
+ * Rejects with a ConfigError, before changing anything, when the source list is invalid.
+ * @param {object} api - { uploadDocument, uploadLink, uploadText, listDocumentsInFolder, removeDocuments };
+ *   the uploads take `(filePath|url|text, { metadata })` and resolve to the stored location
+ * @param {object} source
+ * @param {string} source.folderName - AnythingLLM folder the documents live in
+ * @param {string} source.documentsDir - local directory to upload from; its source list may add more
+ * @param {number} [source.concurrency] - uploads in flight at once
+ * @param {object} [source.validation] - checked before anything is uploaded; failing documents are skipped
+ * @param {string[]} [source.validation.extensions] - allowed file extensions, lowercase without the dot
+ * @param {number} [source.validation.maxBytes] - size limit for files and text, 0 for none
+ * @returns {Promise<{uploaded: string[], reused: string[], removed: string[], skipped: object[], failed: object[], locations: string[]}>}
+ */
+function syncDocuments(api, { folderName, documentsDir, concurrency, validation }) {
+  if (!syncsInFlight.has(folderName)) {
+    const run = runSync(api, { folderName, documentsDir, concurrency, validation }).finally(() => {
+      syncsInFlight.delete(folderName);
+    });
+    syncsInFlight.set(folderName, run);
+  }
+  return syncsInFlight.get(folderName);
+}
+
+// Last sync summary per AnythingLLM folder
+function getSyncStatus() {
+  return { lastSync: { ...lastSyncs } };
+}
+
+module.exports = {
+  syncDocuments,
+  getSyncStatus,
+  hashFile,
+};
@@ -0,0 +1,152 @@
+// src/events.js
+// Replay-safe progress events for the SSE stream at /events/:sessionId.
+// Every event published for a session gets an incrementing `id:` and is kept
+// in a per-session buffer, so a reconnecting EventSource (which sends the
+// Last-Event-ID header) receives whatever it missed, including the final result.
+
+const { createLogger } = require('./logger');
+
+const log = createLogger({ module: 'events' });
+
+// Event types that end a session's stream
+const TERMINAL_TYPES = new Set(['success', 'error']);
+
+function formatEvent({ id, data }) {
+  return `${id != null ? `id: ${id}\n` : ''}data: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * Create the per-session event hub.
+ * @param {object} [options]
+ * @param {number} [options.retentionMs] - how long a finished session's events are kept for replay
+ * @param {number} [options.maxEvents] - cap on buffered events per session
+ */
+function createEventHub({ retentionMs = 10 * 60 * 1000, maxEvents = 100 } = {}) {
+  // Map<sessionId, { events: [], nextId, clients: Set<res>, finished, expiryTimer }>
+  const channels = new Map();
+
+  function getChannel(sessionId) {
+    let channel = channels.get(sessionId);
+    if (!channel) {
+      channel = { events: [], nextId: 1, clients: new Set(), finished: false, expiryTimer: null };
+      channels.set(sessionId, channel);
+    }
+    return channel;
+  }
+
+  // Drop a finished session's buffer once nobody can reasonably reconnect to it
+  function scheduleExpiry(sessionId, channel) {
+    if (channel.expiryTimer) clearTimeout(channel.expiryTimer);
+    channel.expiryTimer = setTimeout(() => {
+      for (const res of channel.clients) res.end();
+      channels.delete(sessionId);
+    }, retentionMs);
+    channel.expiryTimer.unref();
+  }
+
+  /**
+   * Buffer an event for a session and push it to every attached client.
+   * Terminal events ('success' / 'error') close the attached streams.
+   */
+  function publish(sessionId, data) {
+    const channel = getChannel(sessionId);
+    if (channel.finished) {
+      log.debug('Ignoring event for finished session', { sessionId, type: data.type });
+      return;
+    }
+
+    const event = { id: channel.nextId++, data };
+    channel.events.push(event);
+    // Keep the terminal event even when trimming – it is what a late client needs most
+    if (channel.events.length > maxEvents) channel.events.splice(0, channel.events.length - maxEvents);
+
+    const terminal = TERMINAL_TYPES.has(data.type);
+    if (channel.clients.size === 0) {
+      log.debug('No active SSE connection, buffered event for replay', { sessionId, type: data.type, eventId: event.id });
+    }
+    for (const res of channel.clients) {
+      res.write(formatEvent(event));
+      if (terminal) res.end();
+    }
+
+    if (terminal) {
+      channel.finished = true;
+      channel.clients.clear();
+      scheduleExpiry(sessionId, channel);
+      log.debug('Final message published', { sessionId });
+    }
+  }
+
+  /**
+   * Attach an SSE response to a session, replaying events after lastEventId.
+   * Returns false (without writing) if the hub doesn't know the session.
+   */
+  function attach(sessionId, res, lastEventId = 0) {
+    const channel = channels.get(sessionId);
+    if (!channel) return false;
+
+    const missed = channel.events.filter((event) => event.id > lastEventId);
+    if (missed.length > 0) {
+      log.info('Replaying missed events', { sessionId, count: missed.length });
+    }
+    for (const event of missed) res.write(formatEvent(event));
+
+    if (channel.finished) {
+      res.end();
+    } else {
+      channel.clients.add(res);
+    }
+    return true;
+  }
+
+  // Make sure a channel exists so the session can be attached to before its first event
+  function open(sessionId) {
+    getChannel(sessionId);
+  }
+
+  // Forget a session entirely (e.g. its setup was never started)
+  function discard(sessionId) {
+    const channel = channels.get(sessionId);
+    if (!channel) return;
+    if (channel.expiryTimer) clearTimeout(channel.expiryTimer);
+    for (const res of channel.clients) res.end();
+    channels.delete(sessionId);
+  }
+
+  function detach(sessionId, res) {
+    const channel = channels.get(sessionId);
+    if (channel) channel.clients.delete(res);
+  }
+
+  // Latest progress and final result for clients that poll instead of streaming
+  function snapshot(sessionId) {
+    const channel = channels.get(sessionId);
+    if (!channel) return null;
+    let progress = null;
+    let documents = null;
+    let result = null;
+    for (const { data } of channel.events) {
+      if (data.type === 'progress') {
+        progress = { percent: data.percent, text: data.text };
+        if (data.queuePosition) progress.queuePosition = data.queuePosition;
+      }
+      if (data.type === 'documents') documents = { skipped: data.skipped, failed: data.failed };
+      if (TERMINAL_TYPES.has(data.type)) result = data;
+    }
+    return { done: channel.finished, progress, documents, result, lastEventId: channel.nextId - 1 };
+  }
+
+  function has(sessionId) {
+    return channels.has(sessionId);
+  }
+
+  function getStatus() {
+    let connections = 0;
+    for (const channel of channels.values()) connections += channel.clients.size;
+    return { sessions: channels.size, connections };
+  }
+
+  return { open, publish, attach, detach, discard, snapshot, has, getStatus };
+}
+
+module.exports = { createEventHub, formatEvent };
@@ -0,0 +1,100 @@
+// src/fileTypes.js
+// Content sniffing for document validation: tells what a file really is from
+// its first bytes, so a renamed image or binary isn't uploaded as a PDF or text.
+
+const fs = require('fs').promises;
+
+// Bytes read from the start of a file – enough for every signature and the text check
+const SAMPLE_SIZE = 8192;
+
+// [type, offset, signature]; checked in order
+const SIGNATURES = [
+  ['application/pdf', 0, Buffer.from('%PDF-')],
+  ['application/zip', 0, Buffer.from([0x50, 0x4b, 0x03, 0x04])],
+  ['application/rtf', 0, Buffer.from('{\\rtf')],
+  ['image/png', 0, Buffer.from([0x89, 0x50, 0x4e, 0x47])],
+  ['image/jpeg', 0, Buffer.from([0xff, 0xd8, 0xff])],
+  ['image/gif', 0, Buffer.from('GIF8')],
+  ['image/webp', 8, Buffer.from('WEBP')],
+  ['audio/wav', 8, Buffer.from('WAVE')],
+  ['audio/mpeg', 0, Buffer.from('ID3')],
+  ['audio/mpeg', 0, Buffer.from([0xff, 0xfb])],
+  ['video/mp4', 4, Buffer.from('ftyp')],
+  ['application/gzip', 0, Buffer.from([0x1f, 0x8b])],
+  ['application/x-executable', 0, Buffer.from([0x7f, 0x45, 0x4c, 0x46])],
+  ['application/x-msdownload', 0, Buffer.from('MZ')],
+];
+
+// What the content of each extension should sniff as. Office formats and EPUB are ZIP archives;
+// extensions missing here are allowed with any content.
+const EXPECTED_TYPES = {
+  pdf: 'application/pdf',
+  docx: 'application/zip',
+  pptx: 'application/zip',
+  xlsx: 'application/zip',
+  odt: 'application/zip',
+  odp: 'application/zip',
+  epub: 'application/zip',
+  rtf: 'application/rtf',
+  txt: 'text/plain',
+  md: 'text/plain',
+  org: 'text/plain',
+  adoc: 'text/plain',
+  rst: 'text/plain',
+  csv: 'text/plain',
+  json: 'text/plain',
+  html: 'text/plain',
+  htm: 'text/plain',
+  xml: 'text/plain',
+  mbox: 'text/plain',
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp',
+  mp3: 'audio/mpeg',
+  wav: 'audio/wav',
+  mp4: 'video/mp4',
+};
+
+/**
+ * Best guess at a buffer's content type: a known signature, else text/plain
+ * when it has no NUL bytes, else application/octet-stream.
+ * @param {Buffer} sample - the first bytes of the content
+ * @returns {string}
+ */
+function sniffType(sample) {
+  for (const [type, offset, signature] of SIGNATURES) {
+    if (sample.length >= offset + signature.length && sample.subarray(offset, offset + signature.length).equals(signature)) {
+      return type;
+    }
+  }
+  return sample.includes(0) ? 'application/octet-stream' : 'text/plain';
+}
+
+async function sniffFile(filePath) {
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(SAMPLE_SIZE), 0, SAMPLE_SIZE, 0);
+    return sniffType(buffer.subarray(0, bytesRead));
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Why a file's content doesn't match its extension, or null if it does
+ * (or the extension has no expected type).
+ * @param {string} filePath
+ * @param {string} extension - lowercase, without the dot
+ * @returns {Promise<string|null>}
+ */
+async function checkContentType(filePath, extension) {
+  const expected = EXPECTED_TYPES[extension];
+  if (!expected) return null;
+  const actual = await sniffFile(filePath);
+  return actual === expected ? null : `content looks like ${actual}, not .${extension}`;
+}
+
+module.exports = {
+  checkContentType,
+};
@@ -0,0 +1,254 @@
+// src/hotReload.js
+// Runtime reload of settings, prompts and documents.
+// Watches the config file, the profiles file, prompt files and every profile's
+// documents directory. Settings changes are validated and applied in place
+// (settings marked `restart` in src/config.js still need a restart); document
+// changes are synced to AnythingLLM. pushSettings() then carries the current
+// prompt, settings and documents over to workspaces that already exist.
+
+const fs = require('fs');
+const path = require('path');
+const { isDeepStrictEqual } = require('util');
+const config = require('./config');
+const profiles = require('./profiles');
+const workspace = require('./workspace');
+const pool = require('./pool');
+const { resolvePath } = require('./configLoader');
+const { createLogger } = require('./logger');
+
+const log = createLogger({ module: 'hotReload' });
+
+// Editors often write a file in several steps – wait for them to settle
+const DEBOUNCE_MS = 500;
+
+let watchers = []; // { path, watcher }
+const pending = new Map(); // debounce timers by key
+let lastReload = null;
+let pushInFlight = null; // { embeddings, promise }
+let lastPush = null;
+
+function debounce(key, fn) {
+  clearTimeout(pending.get(key));
+  const timer = setTimeout(() => {
+    pending.delete(key);
+    fn();
+  }, DEBOUNCE_MS);
+  timer.unref();
+  pending.set(key, timer);
+}
+
+/**
+ * Re-read the config file, environment, prompt files and profiles, and apply
+ * them if they are valid. Invalid settings are rejected as a whole and the
+ * current ones stay in effect.
+ * @returns {object} { at, ok, changed, requiresRestart } or { at, ok: false, problems }
+ */
+function reloadSettings() {
+  const at = new Date().toISOString();
+  let next;
+  let nextProfiles;
+  try {
+    next = config.readSettings();
+    nextProfiles = profiles.loadProfiles(next);
+  } catch (error) {
+    lastReload = { at, ok: false, problems: error.problems || [error.message] };
+    log.error('Settings reload rejected, keeping the current settings', { problems: lastReload.problems });
+    return lastReload;
+  }
+
+  const changed = [];
+  const requiresRestart = [];
+  for (const key of [...Object.keys(config.SCHEMA), 'CONFIG_FILE']) {
+    if (isDeepStrictEqual(config[key], next[key])) continue;
+    if (config.SCHEMA[key] && config.SCHEMA[key].restart) {
+      requiresRestart.push(key);
+      continue;
+    }
+    config[key] = next[key];
+    changed.push(key);
+  }
+  profiles.setProfiles(nextProfiles);
+
+  lastReload = { at, ok: true, changed, requiresRestart };
+  log.info('Settings reloaded', { changed });
+  if (requiresRestart.length > 0) {
+    log.warn('Some changes take effect after a restart', { requiresRestart });
+  }
+  // File locations may have changed
+  if (watchers.length > 0) {
+    stopWatching();
+    startWatching();
+  }
+  return lastReload;
+}
+
+// Upload new or changed documents of one profile so new workspaces get them
+function syncProfileDocuments(profileName) {
+  const profile = profiles.getProfile(profileName);
+  if (!profile || config.SKIP_DOCUMENTS) return;
+  log.info('Documents changed, syncing', { profile: profileName });
+  workspace.syncDocuments(profile).catch((error) => {
+    log.error('Document sync failed', { profile: profileName, err: error });
+  });
+}
+
+// Directories to watch, each with the file names that matter (null = any file)
+function collectWatchTargets() {
+  const settingsFiles = [
+    config.CONFIG_FILE || resolvePath(process.env.CONFIG_FILE || 'config.yaml'),
+    resolvePath(config.PROFILES_FILE),
+    resolvePath(config.OPENAI_PROMPT_FILE),
+    resolvePath(config.QUERY_REFUSAL_RESPONSE_FILE),
+  ];
+  const documentDirs = [];
+  for (const profile of profiles.listProfiles()) {
+    settingsFiles.push(...profile.promptFiles);
+    documentDirs.push({ dir: profile.documentsDir, profile: profile.name });
+  }
+
+  const settingsDirs = new Map(); // Map<dir, Set<fileName>>
+  for (const file of settingsFiles) {
+    const dir = path.dirname(file);
+    if (!settingsDirs.has(dir)) settingsDirs.set(dir, new Set());
+    settingsDirs.get(dir).add(path.basename(file));
+  }
+  return { settingsDirs, documentDirs };
+}
+
+function watch(dir, onChange) {
+  try {
+    const watcher = fs.watch(dir, onChange);
+    watcher.on('error', (error) => log.error('File watcher failed', { dir, err: error }));
+    watchers.push({ path: dir, watcher });
+  } catch (error) {
+    // Missing directories (e.g. a profile without documents yet) are simply not watched
+    log.info('Not watching missing directory', { dir, err: error });
+  }
+}
+
+// Watch settings and document files when HOT_RELOAD is enabled
+function startWatching() {
+  if (!config.HOT_RELOAD) {
+    log.info('Hot reload disabled (HOT_RELOAD=false)');
+    return;
+  }
+  const { settingsDirs, documentDirs } = collectWatchTargets();
+
+  // Files are watched through their directory, since editors replace files instead of writing them in place
+  for (const [dir, fileNames] of settingsDirs) {
+    watch(dir, (event, fileName) => {
+      if (fileName && fileNames.has(fileName)) debounce('settings', reloadSettings);
+    });
+  }
+  for (const { dir, profile } of documentDirs) {
+    watch(dir, () => debounce(`documents:${profile}`, () => syncProfileDocuments(profile)));
+  }
+  log.info('Hot reload watching directories', { dirs: watchers.map((entry) => entry.path) });
+}
+
+function stopWatching() {
+  for (const { watcher } of watchers) watcher.close();
+  watchers = [];
+}
+
+// Workspaces that exist right now: ready, unexpired sessions plus prepared pool entries
+async function listLiveWorkspaces() {
+  const sessions = await workspace.listLiveSessions();
+  const prepared = await pool.listPreparedEntries();
+  return [
+    ...sessions
+      .filter((session) => session.status === workspace.SESSION_STATES.READY && session.workspaceSlug)
+      .map(({ sessionId, workspaceSlug, profile }) => ({ sessionId, workspaceSlug, profile })),
+    ...prepared.map(({ poolId, workspaceSlug, profile }) => ({ poolId, workspaceSlug, profile })),
+  ];
+}
+
+async function runPush({ embeddings }) {
+  const targets = await listLiveWorkspaces();
+  log.info('Pushing settings to live workspaces', { embeddings, count: targets.length });
+  const report = {
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    embeddings,
+    total: targets.length,
+    updated: 0,
+    failed: 0,
+    workspaces: [],
+  };
+
+  for (const target of targets) {
+    const result = {
+      ...target,
+      profile: target.profile || profiles.DEFAULT_PROFILE,
+      settings: null,
+      embeddings: null,
+      error: null,
+    };
+    try {
+      const profile = profiles.getSessionProfile(target);
+      await workspace.updateWorkspaceSettings(target.workspaceSlug, profile);
+      result.settings = 'updated';
+      if (embeddings) {
+        const { skipped, added, removed } = await workspace.resyncWorkspaceDocuments(target.workspaceSlug, profile);
+        result.embeddings = skipped ? 'skipped' : { added: added.length, removed: removed.length };
+      }
+      report.updated++;
+    } catch (error) {
+      log.error('Failed to push settings to workspace', { workspaceSlug: target.workspaceSlug, err: error });
+      result.error = error.message;
+      report.failed++;
+    }
+    report.workspaces.push(result);
+  }
+
+  report.finishedAt = new Date().toISOString();
+  lastPush = report;
+  log.info('Settings push complete', { updated: report.updated, failed: report.failed, total: report.total });
+  return report;
+}
+
+/**
+ * Apply the current prompt, workspace settings and (optionally) documents to
+ * every live workspace. Concurrent callers with the same options share the run
+ * in progress; a call with different options is rejected with code 'PUSH_CONFLICT'.
+ * @param {object} [options]
+ * @param {boolean} [options.embeddings=true] - also re-sync each workspace's embeddings
+ * @returns {Promise<object>} per-workspace report
+ */
+function pushSettings({ embeddings = true } = {}) {
+  if (pushInFlight && pushInFlight.embeddings !== embeddings) {
+    const error = new Error(`A settings push with embeddings=${pushInFlight.embeddings} is already running`);
+    error.code = 'PUSH_CONFLICT';
+    return Promise.reject(error);
+  }
+  if (!pushInFlight) {
+    const promise = runPush({ embeddings }).finally(() => {
+      pushInFlight = null;
+    });
+    pushInFlight = { embeddings, promise };
+  }
+  return pushInFlight.promise;
+}
+
+function getStatus() {
+  return {
+    enabled: config.HOT_RELOAD,
+    watching: watchers.map((entry) => entry.path),
+    lastReload,
+    lastPush: lastPush && {
+      startedAt: lastPush.startedAt,
+      finishedAt: lastPush.finishedAt,
+      total: lastPush.total,
+      updated: lastPush.updated,
+      failed: lastPush.failed,
+    },
+  };
+}
+
+module.exports = {
+  startWatching,
+  stopWatching,
+  reloadSettings,
+  pushSettings,
+  getStatus,
+};
@@ -0,0 +1,151 @@
+// src/jobs.js
+// Background job runner for session provisioning. Jobs start as soon as a
+// session is created and run to completion whether or not any client is
+// watching; progress reaches clients through the event hub or polling.
+// At most `concurrency` jobs run at once – the rest wait in a FIFO queue –
+// and a job that runs longer than `timeoutMs` is aborted through its signal.
+// A timed-out job keeps its slot until its task has stopped (and cleaned up),
+// so aborted work never overlaps with the next job.
+
+const { createLogger } = require('./logger');
+
+const log = createLogger({ module: 'jobs' });
+
+// Resolve an option given as a value or as a function returning the current value
+const resolve = (option) => (typeof option === 'function' ? option() : option);
+
+/**
+ * Create a job runner that runs at most one job per key.
+ * `concurrency` and `timeoutMs` may be values or functions returning the
+ * current value, so a hot reload applies to the next job.
+ * @param {object} [options]
+ * @param {string} [options.name] - label used in log lines
+ * @param {number|(() => number)} [options.concurrency] - jobs running at once
+ * @param {number|(() => number)} [options.timeoutMs] - per job, 0 for none
+ * @param {(key: string, waitMs: number) => void} [options.onStart] - a job left the queue
+ * @param {(key: string) => void} [options.onTimeout] - a job was aborted for running too long;
+ *   its slot is freed when its task settles
+ */
+function createJobRunner({ name = 'job', concurrency = Infinity, timeoutMs = 0, onStart = () => {}, onTimeout = () => {} } = {}) {
+  const running = new Map(); // Map<key, job>
+  const queue = []; // jobs waiting for a slot, oldest first
+  const stats = { started: 0, succeeded: 0, failed: 0, timedOut: 0 };
+
+  // Tell every queued job whose place in line changed
+  function notifyPositions() {
+    queue.forEach((job, i) => {
+      const position = i + 1;
+      if (job.position === position) return;
+      job.position = position;
+      try {
+        job.onQueued(position);
+      } catch (error) {
+        log.error(`Could not report ${name} queue position`, { key: job.key, err: error });
+      }
+    });
+  }
+
+  function finish(job, outcome, error) {
+    if (job.finished) return;
+    job.finished = true;
+    clearTimeout(job.timer);
+    stats[outcome]++;
+    if (outcome === 'failed') log.error(`${name} failed`, { key: job.key, err: error });
+    if (outcome === 'timedOut') log.info(`Timed-out ${name} has stopped`, { key: job.key });
+    running.delete(job.key);
+    job.resolve();
+    pump();
+  }
+
+  function start(job) {
+    const waitMs = Date.now() - job.enqueuedAt;
+    job.startedAt = new Date().toISOString();
+    job.position = 0;
+    running.set(job.key, job);
+    stats.started++;
+    log.info(`Starting ${name}`, { key: job.key, waitMs });
+    onStart(job.key, waitMs);
+
+    const controller = new AbortController();
+    const limit = resolve(timeoutMs);
+    if (limit > 0) {
+      job.timer = setTimeout(() => {
+        const error = new Error(`${name} timed out after ${Math.round(limit / 1000)}s`);
+        error.code = 'JOB_TIMEOUT';
+        log.warn(`${name} timed out`, { key: job.key, timeoutMs: limit });
+        job.timedOut = true;
+        onTimeout(job.key);
+        controller.abort(error);
+      }, limit);
+      job.timer.unref();
+    }
+
+    Promise.resolve()
+      .then(() => job.task({ signal: controller.signal, waitMs }))
+      .then(
+        () => finish(job, job.timedOut ? 'timedOut' : 'succeeded'),
+        (error) => finish(job, job.timedOut ? 'timedOut' : 'failed', error)
+      );
+  }
+
+  // Start queued jobs while there are free slots
+  function pump() {
+    const limit = Math.max(1, resolve(concurrency));
+    while (queue.length > 0 && running.size < limit) start(queue.shift());
+    notifyPositions();
+  }
+
+  /**
+   * Queue a job to run in the background. Running a key that is already
+   * queued or running returns the existing job instead of running the task twice.
+   * @param {string} key
+   * @param {(context: { signal: AbortSignal, waitMs: number }) => Promise<any>} task - should
+   *   stop (and clean up) when `signal` is aborted
+   * @param {object} [options]
+   * @param {(position: number) => void} [options.onQueued] - called with the job's 1-based
+   *   place in line whenever it has to wait or moves up
+   * @returns {Promise<void>} settles when the job's task has settled; never rejects
+   */
+  function run(key, task, { onQueued = () => {} } = {}) {
+    const existing = running.get(key) || queue.find((job) => job.key === key);
+    if (existing) return existing.promise;
+
+    const job = { key, task, onQueued, enqueuedAt: Date.now(), position: null, finished: false, timedOut: false, timer: null };
+    job.promise = new Promise((resolvePromise) => {
+      job.resolve = resolvePromise;
+    });
+    queue.push(job);
+    pump();
+    if (job.position > 0) log.info(`Queued ${name}`, { key, position: job.position });
+    return job.promise;
+  }
+
+  function isRunning(key) {
+    return running.has(key);
+  }
+
+  // 1-based place in the queue, or null if the job isn't waiting
+  function getPosition(key) {
+    const index = queue.findIndex((job) => job.key === key);
+    return index === -1 ? null : index + 1;
+  }
+
+  function getStatus() {
+    return {
+      running: running.size,
+      queued: queue.length,
+      concurrency: resolve(concurrency),
+      ...stats,
+      jobs: [...running.values()].map(({ key, startedAt }) => ({ key, startedAt })),
+      queue: queue.map(({ key, enqueuedAt }, i) => ({
+        key,
+        position: i + 1,
+        enqueuedAt: new Date(enqueuedAt).toISOString(),
+      })),
+    };
+  }
+
+  return { run, isRunning, getPosition, getStatus };
+}
+
+module.exports = { createJobRunner };
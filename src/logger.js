@@ -0,0 +1,131 @@
+// src/logger.js
+// Structured logging – one JSON object per line (or readable text with
+// LOG_FORMAT=text), filtered by LOG_LEVEL. Fields bound with withContext()
+// (e.g. the sessionId of a setup) are added to every entry logged inside it,
+// however deep the call chain. Secrets are redacted before anything is written.
+
+const { AsyncLocalStorage } = require('async_hooks');
+const config = require('./config');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const REDACTED = '[REDACTED]';
+
+// Field names whose values are never logged
+const SECRET_KEY_PATTERN = /password|passwd|secret|token|api[-_]?key|authorization|cookie|credential/i;
+// Secrets embedded in strings: bearer credentials and query parameters
+const SECRET_STRING_PATTERNS = [
+  [/(Bearer\s+)[^\s"',]+/gi, `$1${REDACTED}`],
+  [/(Basic\s+)[A-Za-z0-9+/=]+/g, `$1${REDACTED}`],
+  [/([?&](?:token|api[-_]?key|password|secret)=)[^&\s"']+/gi, `$1${REDACTED}`],
+];
+// Nested objects beyond this depth are summarized
+const MAX_DEPTH = 6;
+
+const context = new AsyncLocalStorage();
+
+// Values of settings marked `secret` in src/config.js, replaced wherever they appear
+function secretValues() {
+  return Object.entries(config.SCHEMA)
+    .filter(([key, spec]) => spec.secret && typeof config[key] === 'string' && config[key].length >= 4)
+    .map(([key]) => config[key]);
+}
+
+function redactString(text, secrets) {
+  let result = text;
+  for (const secret of secrets) result = result.split(secret).join(REDACTED);
+  for (const [pattern, replacement] of SECRET_STRING_PATTERNS) result = result.replace(pattern, replacement);
+  return result;
+}
+
+function serializeError(error) {
+  const serialized = { message: error.message, name: error.name };
+  if (error.code) serialized.code = error.code;
+  if (error.step) serialized.step = error.step;
+  // AnythingLLM client errors (see src/anythingllm.js) carry the request and response details
+  if (error.kind) serialized.kind = error.kind;
+  if (error.endpoint) serialized.request = `${error.method} ${error.endpoint}`;
+  if (error.status) serialized.status = error.status;
+  if (error.data) serialized.response = error.data;
+  if (error.response) {
+    serialized.status = error.response.status;
+    serialized.response = error.response.data;
+  }
+  if (error.config && error.config.url) {
+    serialized.request = `${(error.config.method || 'get').toUpperCase()} ${error.config.url}`;
+  }
+  return serialized;
+}
+
+/**
+ * Copy a value with secrets removed: secret-looking keys are masked, secret
+ * setting values and credentials inside strings are replaced, errors are
+ * reduced to their useful fields.
+ */
+function redact(value, secrets = secretValues(), depth = 0, seen = new WeakSet()) {
+  if (typeof value === 'string') return redactString(value, secrets);
+  if (value === null || typeof value !== 'object') return value;
+  if (seen.has(value)) return '[Circular]';
+  if (depth >= MAX_DEPTH) return Array.isArray(value) ? '[Array]' : '[Object]';
+  seen.add(value);
+
+  const source = value instanceof Error ? serializeError(value) : value;
+  if (Array.isArray(source)) return source.map((item) => redact(item, secrets, depth + 1, seen));
+  if (Buffer.isBuffer(source)) return `[Buffer ${source.length} bytes]`;
+
+  const copy = {};
+  for (const [key, item] of Object.entries(source)) {
+    copy[key] = SECRET_KEY_PATTERN.test(key) && item != null && item !== '' ? REDACTED : redact(item, secrets, depth + 1, seen);
+  }
+  return copy;
+}
+
+function formatText(entry) {
+  const { time, level, msg, ...fields } = entry;
+  const extra = Object.entries(fields)
+    .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+    .join(' ');
+  return `${time} ${level.toUpperCase().padEnd(5)} ${msg}${extra ? ` ${extra}` : ''}`;
+}
+
+function write(level, bindings, msg, fields) {
+  const threshold = LEVELS[config.LOG_LEVEL] ?? LEVELS.info;
+  if (LEVELS[level] < threshold) return;
+
+  const secrets = secretValues();
+  const entry = redact(
+    { time: new Date().toISOString(), level, msg, ...bindings, ...context.getStore(), ...fields },
+    secrets
+  );
+  const line = config.LOG_FORMAT === 'text' ? formatText(entry) : JSON.stringify(entry);
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+}
+
+/**
+ * Create a logger whose entries all carry `bindings` (e.g. { module: 'pool' }).
+ * Each method takes a message and optional fields; pass errors as `err`.
+ * @param {object} [bindings]
+ */
+function createLogger(bindings = {}) {
+  const logger = { child: (more) => createLogger({ ...bindings, ...more }) };
+  for (const level of Object.keys(LEVELS)) {
+    logger[level] = (msg, fields = {}) => write(level, bindings, msg, fields);
+  }
+  return logger;
+}
+
+/**
+ * Run `fn` with `fields` added to every entry it logs, including from the
+ * async work it starts. Nested contexts add to the outer one.
+ * @param {object} fields - e.g. { sessionId }
+ * @param {Function} fn
+ */
+function withContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+module.exports = {
+  LEVELS,
+  createLogger,
+  withContext,
+  redact,
+};
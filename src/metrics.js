@@ -0,0 +1,325 @@
+// src/metrics.js
+// Prometheus metrics, served in the text exposition format at /metrics.
+// Counters, gauges and histograms live in memory for the life of the process.
+// Gauges can read their value from a collector at scrape time instead of being set.
+
+const { createLogger } = require('./logger');
+
+const log = createLogger({ module: 'metrics' });
+
+// Seconds – provisioning steps range from sub-second API calls to minutes of embedding
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
+
+const registry = [];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+// Series are keyed by their label values, in labelNames order
+function pickLabels(labelNames, labels) {
+  const picked = {};
+  for (const name of labelNames) picked[name] = labels[name] ?? '';
+  return picked;
+}
+
+function createSeriesMap(labelNames) {
+  const series = new Map(); // Map<key, { labels, ...values }>
+  return {
+    get(labels, init) {
+      const picked = pickLabels(labelNames, labels);
+      const key = JSON.stringify(Object.values(picked));
+      if (!series.has(key)) series.set(key, { labels: picked, ...init() });
+      return series.get(key);
+    },
+    values: () => series.values(),
+  };
+}
+
+function header(name, help, type) {
+  return [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+}
+
+/**
+ * A monotonically increasing count.
+ * @param {object} definition - { name, help, labelNames }
+ */
+function createCounter({ name, help, labelNames = [] }) {
+  const series = createSeriesMap(labelNames);
+  const metric = {
+    inc(labels = {}, amount = 1) {
+      series.get(labels, () => ({ value: 0 })).value += amount;
+    },
+    collect() {
+      const lines = header(name, help, 'counter');
+      for (const { labels, value } of series.values()) lines.push(`${name}${formatLabels(labels)} ${value}`);
+      return lines;
+    },
+  };
+  registry.push(metric);
+  return metric;
+}
+
+/**
+ * A value that goes up and down. With a collector, the value is read at scrape time.
+ * @param {object} definition - { name, help, labelNames }
+ */
+function createGauge({ name, help, labelNames = [] }) {
+  const series = createSeriesMap(labelNames);
+  let collector = null;
+  const metric = {
+    set(labels, value) {
+      series.get(labels, () => ({ value: 0 })).value = value;
+    },
+    // fn() returns a number (or a promise of one) for the unlabelled series
+    setCollector(fn) {
+      collector = fn;
+    },
+    async collect() {
+      const lines = header(name, help, 'gauge');
+      if (collector) {
+        try {
+          metric.set({}, await collector());
+        } catch (error) {
+          log.error('Could not collect metric', { metric: name, err: error });
+        }
+      }
+      for (const { labels, value } of series.values()) lines.push(`${name}${formatLabels(labels)} ${value}`);
+      return lines;
+    },
+  };
+  registry.push(metric);
+  return metric;
+}
+
+/**
+ * A distribution of observed values (durations in seconds) over fixed buckets.
+ * @param {object} definition - { name, help, labelNames, buckets }
+ */
+function createHistogram({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) {
+  const series = createSeriesMap(labelNames);
+  const metric = {
+    observe(labels, value) {
+      const entry = series.get(labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+      buckets.forEach((bound, i) => {
+        if (value <= bound) entry.counts[i]++;
+      });
+      entry.sum += value;
+      entry.count++;
+    },
+    // Returns stop(extraLabels), which records the elapsed seconds and returns them
+    startTimer(labels = {}) {
+      const startedAt = process.hrtime.bigint();
+      return (extraLabels = {}) => {
+        const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+        metric.observe({ ...labels, ...extraLabels }, seconds);
+        return seconds;
+      };
+    },
+    collect() {
+      const lines = header(name, help, 'histogram');
+      for (const { labels, counts, sum, count } of series.values()) {
+        buckets.forEach((bound, i) => {
+          lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+        lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+        lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+      }
+      return lines;
+    },
+  };
+  registry.push(metric);
+  return metric;
+}
+
+// --- Service metrics ---
+
+const provisioningStepDuration = createHistogram({
+  name: 'sso_provisioning_step_duration_seconds',
+  help: 'Duration of each session setup step.',
+  labelNames: ['step', 'outcome'],
+});
+
+const sessionsCreated = createCounter({
+  name: 'sso_sessions_created_total',
+  help: 'Sessions whose workspace was set up, by profile and whether it came from the warm pool.',
+  labelNames: ['profile', 'source'],
+});
+
+const sessionsFailed = createCounter({
+  name: 'sso_sessions_failed_total',
+  help: 'Session setups that failed, by profile and the step that failed.',
+  labelNames: ['profile', 'step'],
+});
+
+const sessionsCleaned = createCounter({
+  name: 'sso_sessions_cleaned_total',
+  help: 'Sessions processed by cleanup, by trigger (manual or sweep) and result (deleted or failed).',
+  labelNames: ['trigger', 'result'],
+});
+
+const resourceDeletions = createCounter({
+  name: 'sso_resource_deletions_total',
+  help: 'AnythingLLM users and workspaces deleted by cleanup and rollback, by result.',
+  labelNames: ['resource', 'result'],
+});
+
+const provisioningQueueWait = createHistogram({
+  name: 'sso_provisioning_queue_wait_seconds',
+  help: 'Time session setups spent waiting in the provisioning queue before starting.',
+});
+
+const provisioningQueued = createGauge({
+  name: 'sso_provisioning_queued',
+  help: 'Session setups waiting in the provisioning queue.',
+});
+
+const provisioningRunning = createGauge({
+  name: 'sso_provisioning_running',
+  help: 'Session setups currently running.',
+});
+
+const provisioningTimeouts = createCounter({
+  name: 'sso_provisioning_timeouts_total',
+  help: 'Session setups aborted and rolled back for exceeding PROVISION_TIMEOUT_MS.',
+});
+
+const liveSessions = createGauge({
+  name: 'sso_live_sessions',
+  help: 'Unexpired stored sessions, including setups in progress.',
+});
+
+const sseConnections = createGauge({
+  name: 'sso_sse_connections',
+  help: 'Open progress (SSE) connections.',
+});
+
+const apiRequestDuration = createHistogram({
+  name: 'sso_anythingllm_request_duration_seconds',
+  help: 'AnythingLLM API request latency, by endpoint and method.',
+  labelNames: ['endpoint', 'method'],
+  buckets: [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+});
+
+const apiRequestErrors = createCounter({
+  name: 'sso_anythingllm_request_errors_total',
+  help: 'Failed AnythingLLM API requests, by endpoint, method and reason (HTTP status or error code).',
+  labelNames: ['endpoint', 'method', 'reason'],
+});
+
+const apiRetries = createCounter({
+  name: 'sso_anythingllm_retries_total',
+  help: 'AnythingLLM API calls retried after a failed attempt, by endpoint and reason (HTTP status or error code).',
+  labelNames: ['endpoint', 'reason'],
+});
+
+const apiGiveUps = createCounter({
+  name: 'sso_anythingllm_giveups_total',
+  help: 'AnythingLLM API calls abandoned after failing, by endpoint and cause (exhausted, not_retryable or not_idempotent).',
+  labelNames: ['endpoint', 'cause'],
+});
+
+const apiDuplicatesAvoided = createCounter({
+  name: 'sso_anythingllm_duplicates_avoided_total',
+  help: 'Creates not retried because the failed attempt had created the resource anyway, by endpoint.',
+  labelNames: ['endpoint'],
+});
+
+/**
+ * Run one setup step and record its duration, labelled with whether it succeeded.
+ * @param {string} step - step name, e.g. 'Creating workspace'
+ * @param {() => Promise<*>} run
+ */
+async function timeStep(step, run) {
+  const stop = provisioningStepDuration.startTimer({ step });
+  try {
+    const result = await run();
+    stop({ outcome: 'success' });
+    return result;
+  } catch (error) {
+    stop({ outcome: 'failure' });
+    throw error;
+  }
+}
+
+/**
+ * Record latency and errors for every request made through an axios instance.
+ * Requests are labelled with the route template they pass as `endpoint` in
+ * their config (e.g. '/api/v1/workspace/:slug/update'), so slugs and IDs
+ * don't each become a series; requests without one are labelled 'other'.
+ * @param {object} client - axios or an axios instance
+ */
+function instrumentAxios(client) {
+  const labelsFor = (requestConfig = {}) => ({
+    endpoint: requestConfig.endpoint || 'other',
+    method: (requestConfig.method || 'get').toUpperCase(),
+  });
+
+  client.interceptors.request.use((requestConfig) => {
+    requestConfig.metricsStartedAt = process.hrtime.bigint();
+    return requestConfig;
+  });
+
+  const observe = (requestConfig) => {
+    if (!requestConfig || requestConfig.metricsStartedAt === undefined) return null;
+    const labels = labelsFor(requestConfig);
+    apiRequestDuration.observe(labels, Number(process.hrtime.bigint() - requestConfig.metricsStartedAt) / 1e9);
+    return labels;
+  };
+
+  client.interceptors.response.use(
+    (response) => {
+      observe(response.config);
+      return response;
+    },
+    (error) => {
+      const labels = observe(error.config) || labelsFor(error.config);
+      const reason = error.response ? String(error.response.status) : error.code || 'error';
+      apiRequestErrors.inc({ ...labels, reason });
+      return Promise.reject(error);
+    }
+  );
+}
+
+/**
+ * Render every registered metric in the Prometheus text format.
+ * @returns {Promise<string>}
+ */
+async function render() {
+  const lines = [];
+  for (const metric of registry) lines.push(...(await metric.collect()));
+  return `${lines.join('\n')}\n`;
+}
+
+// Content type of the text exposition format
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+module.exports = {
+  CONTENT_TYPE,
+  provisioningStepDuration,
+  sessionsCreated,
+  sessionsFailed,
+  sessionsCleaned,
+  resourceDeletions,
+  provisioningQueueWait,
+  provisioningQueued,
+  provisioningRunning,
+  provisioningTimeouts,
+  liveSessions,
+  sseConnections,
+  apiRequestDuration,
+  apiRequestErrors,
+  apiRetries,
+  apiGiveUps,
+  apiDuplicatesAvoided,
+  timeStep,
+  instrumentAxios,
+  render,
+};
@@ -0,0 +1,126 @@
+// src/pipeline.js
+// Dependency graph runner for multi-step work such as session provisioning.
+// Each step names the steps it needs; a step starts as soon as those have
+// finished, so independent steps run side by side. When a step fails – or the
+// signal is aborted – no new steps start, but the ones already running are
+// allowed to finish (and record what they created) before the failure is
+// reported. Steps are expected to stop soon after an abort by themselves, e.g.
+// because their AnythingLLM requests are tied to the same signal.
+
+/**
+ * @typedef {object} PipelineStep
+ * @property {string} name - unique; also used in `needs` and error reports
+ * @property {string[]} [needs] - names of steps that must finish first
+ * @property {number} [weight] - share of the overall progress, default 1
+ * @property {() => Promise<*>} run
+ */
+
+/**
+ * Check that every dependency exists and that the steps don't form a cycle.
+ * @param {PipelineStep[]} steps
+ * @throws {Error} describing the first problem found
+ */
+function validatePipeline(steps) {
+  const byName = new Map(steps.map((step) => [step.name, step]));
+  for (const step of steps) {
+    for (const need of step.needs || []) {
+      if (!byName.has(need)) throw new Error(`Step "${step.name}" needs unknown step "${need}"`);
+    }
+  }
+  const visiting = new Set();
+  const visited = new Set();
+  const visit = (step) => {
+    if (visited.has(step.name)) return;
+    if (visiting.has(step.name)) throw new Error(`Steps form a cycle through "${step.name}"`);
+    visiting.add(step.name);
+    for (const need of step.needs || []) visit(byName.get(need));
+    visiting.delete(step.name);
+    visited.add(step.name);
+  };
+  steps.forEach(visit);
+}
+
+/**
+ * Run steps in dependency order, concurrently where the graph allows.
+ * A failed step's error is rethrown with `failedStep` set to its name.
+ * @param {PipelineStep[]} steps
+ * @param {object} [options]
+ * @param {string[]} [options.completed] - steps already done (e.g. before a restart)
+ * @param {AbortSignal} [options.signal] - aborting fails the pipeline with the signal's reason
+ *   (`failedStep` set to a step that was running) once the running steps have settled
+ * @param {(step: PipelineStep, result: *) => Promise<void>|void} [options.onDone] - runs
+ *   before dependent steps start, e.g. to persist the step's result
+ * @param {(progress: { percent: number, running: PipelineStep[] }) => void} [options.onProgress] -
+ *   `percent` is the finished share of the total weight
+ */
+function runPipeline(steps, { completed = [], signal, onDone = () => {}, onProgress = () => {} } = {}) {
+  const done = new Set(completed);
+  const started = new Set(completed);
+  const running = new Map(); // Map<name, step>
+  const totalWeight = steps.reduce((sum, step) => sum + (step.weight ?? 1), 0) || 1;
+  let failure = null;
+  let onAbort = null;
+
+  const reportProgress = () => {
+    const doneWeight = steps.filter((step) => done.has(step.name)).reduce((sum, step) => sum + (step.weight ?? 1), 0);
+    onProgress({ percent: Math.round((doneWeight / totalWeight) * 100), running: [...running.values()] });
+  };
+
+  return new Promise((resolve, reject) => {
+    // Start every step whose dependencies are met; `changed` when a step just finished
+    function launch(changed = false) {
+      if (!failure) {
+        const ready = steps.filter(
+          (step) => !started.has(step.name) && (step.needs || []).every((need) => done.has(need))
+        );
+        ready.forEach(start);
+        if (ready.length > 0 || changed) reportProgress();
+      }
+      if (running.size > 0) return;
+      if (failure) return reject(failure);
+      if (done.size < steps.length) {
+        return reject(new Error(`Steps could not start: ${steps.filter((s) => !done.has(s.name)).map((s) => s.name).join(', ')}`));
+      }
+      resolve();
+    }
+
+    function start(step) {
+      started.add(step.name);
+      running.set(step.name, step);
+      Promise.resolve()
+        .then(() => step.run())
+        .then(async (result) => {
+          await onDone(step, result);
+          done.add(step.name);
+        })
+        .catch((error) => {
+          if (!failure) {
+            failure = error;
+            failure.failedStep = step.name;
+          }
+        })
+        .finally(() => {
+          running.delete(step.name);
+          launch(true);
+        });
+    }
+
+    onAbort = () => {
+      if (!failure) {
+        failure = signal.reason;
+        if (running.size > 0) failure.failedStep = running.keys().next().value;
+      }
+      launch();
+    };
+    if (signal && signal.aborted) return onAbort();
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    launch();
+  }).finally(() => {
+    if (signal) signal.removeEventListener('abort', onAbort);
+  });
+}
+
+module.exports = {
+  validatePipeline,
+  runPipeline,
+};
@@ -0,0 +1,206 @@
+// src/pool.js
+// Warm pool of pre-provisioned user + workspace pairs.
+// A visitor claims a prepared pair and only needs a fresh SSO token.
+// Only the default profile is pooled; other profiles are set up on demand.
+// Entries go through the same provisioning steps as sessions (src/provisioner.js),
+// including waiting for embeddings and verification, and are persisted while they
+// are being prepared so a crash part-way leaves nothing untracked.
+
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('./config');
+const workspace = require('./workspace');
+const profiles = require('./profiles');
+const provisioner = require('./provisioner');
+const { createLogger } = require('./logger');
+
+const log = createLogger({ module: 'pool' });
+
+// Prepared pairs are persisted so they survive restarts instead of being orphaned
+const POOL_FILE = path.join(__dirname, '..', 'data', 'pool.json');
+
+// Prepared entries waiting to be claimed
+let ready = [];
+// Entries being provisioned (marked `preparing`), or left half-prepared by a crash
+let preparing = [];
+// Number of entries currently being provisioned
+let inFlight = 0;
+let refilling = false;
+let loaded = false;
+let refillTimer = null;
+let lastError = null;
+
+const stats = {
+  prepared: 0,
+  claimed: 0,
+  failed: 0,
+};
+
+async function loadPool() {
+  try {
+    const entries = JSON.parse(await fs.readFile(POOL_FILE, 'utf8'));
+    ready = entries.filter((entry) => !entry.preparing);
+    preparing = entries.filter((entry) => entry.preparing);
+    log.info('Loaded prepared workspaces from pool storage', { count: ready.length, interrupted: preparing.length });
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      log.error('Error loading pool', { err: error });
+    }
+    ready = [];
+    preparing = [];
+  }
+  loaded = true;
+}
+
+async function savePool() {
+  try {
+    await fs.mkdir(path.dirname(POOL_FILE), { recursive: true });
+    await fs.writeFile(POOL_FILE, JSON.stringify([...ready, ...preparing], null, 2), 'utf8');
+  } catch (error) {
+    log.error('Error saving pool', { err: error });
+  }
+}
+
+// Delete what a half-prepared entry created and forget it; whatever couldn't be deleted stays tracked
+async function discardEntry(entry) {
+  if (entry.workspaceSlug && (await workspace.deleteWorkspace(entry.workspaceSlug))) entry.workspaceSlug = null;
+  if (entry.userId && (await workspace.deleteUser(entry.userId))) entry.userId = null;
+  if (!entry.workspaceSlug && !entry.userId) {
+    preparing = preparing.filter((other) => other !== entry);
+  }
+  await savePool();
+}
+
+// Provision a single user + workspace pair, rolling back on failure
+async function prepareEntry() {
+  const poolId = `session-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+  const profile = profiles.getDefaultProfile();
+  const entry = {
+    poolId,
+    profile: profile.name,
+    username: `test_${Date.now()}`,
+    workspaceName: `${profile.workspaceName} - ${poolId}`,
+    preparing: true,
+  };
+  preparing.push(entry);
+  await savePool();
+
+  try {
+    log.info('Preparing workspace', { poolId });
+    // Each step's results are stored as soon as it finishes
+    const prepared = await provisioner.runSteps(entry, {
+      onDone: async (changes) => {
+        Object.assign(entry, changes);
+        await savePool();
+      },
+    });
+    log.info('Prepared workspace ready', { poolId, userId: prepared.userId, workspaceSlug: prepared.workspaceSlug });
+    preparing = preparing.filter((other) => other !== entry);
+    delete prepared.preparing;
+    return { ...prepared, preparedAt: new Date().toISOString() };
+  } catch (error) {
+    log.error('Failed to prepare workspace', { poolId, step: error.failedStep, err: error });
+    await discardEntry(entry);
+    throw error;
+  }
+}
+
+// Top the pool up to POOL_SIZE, one entry at a time to avoid overloading AnythingLLM
+async function refillPool() {
+  if (refilling || config.POOL_SIZE <= 0) return;
+  refilling = true;
+  try {
+    if (!loaded) await loadPool();
+    // Nothing is being prepared between refills, so these were interrupted (or their rollback failed)
+    for (const entry of [...preparing]) {
+      log.info('Rolling back interrupted pool entry', { poolId: entry.poolId });
+      await discardEntry(entry);
+    }
+    while (ready.length + inFlight < config.POOL_SIZE) {
+      inFlight++;
+      try {
+        const entry = await prepareEntry();
+        ready.push(entry);
+        stats.prepared++;
+        lastError = null;
+        await savePool();
+      } catch (error) {
+        stats.failed++;
+        lastError = { message: error.message, at: new Date().toISOString() };
+        // Give up until the next scheduled refill rather than hammering a failing backend
+        break;
+      } finally {
+        inFlight--;
+      }
+    }
+  } finally {
+    refilling = false;
+  }
+}
+
+// Take a prepared pair out of the pool, or null if none is ready for this profile
+async function claimPrepared(profileName = profiles.DEFAULT_PROFILE) {
+  if (config.POOL_SIZE <= 0 || profileName !== profiles.DEFAULT_PROFILE) return null;
+  if (!loaded) await loadPool();
+  const entry = ready.shift() || null;
+  if (entry) {
+    stats.claimed++;
+    await savePool();
+    log.info('Claimed prepared workspace', { poolId: entry.poolId, remaining: ready.length });
+  } else {
+    log.info('No prepared workspace available, falling back to on-demand setup');
+  }
+  // Replace what was taken in the background
+  refillPool().catch((error) => log.error('Pool refill failed', { err: error }));
+  return entry;
+}
+
+// Load persisted entries, fill the pool and keep it topped up on an interval
+function startPool() {
+  if (config.POOL_SIZE <= 0) {
+    log.info('Warm pool disabled (POOL_SIZE=0)');
+    return;
+  }
+  log.info('Warm pool enabled', { size: config.POOL_SIZE });
+  refillPool().catch((error) => log.error('Pool refill failed', { err: error }));
+  refillTimer = setInterval(() => {
+    refillPool().catch((error) => log.error('Pool refill failed', { err: error }));
+  }, config.POOL_REFILL_INTERVAL_MS);
+  refillTimer.unref();
+}
+
+function stopPool() {
+  if (refillTimer) clearInterval(refillTimer);
+  refillTimer = null;
+}
+
+/**
+ * Prepared entries currently held by the pool (they are not orphans).
+ * @param {object} [options]
+ * @param {boolean} [options.includePreparing=false] - also list entries still being
+ *   prepared or awaiting rollback, with whatever user and workspace they have so far
+ */
+async function listPreparedEntries({ includePreparing = false } = {}) {
+  if (!loaded) await loadPool();
+  return includePreparing ? [...ready, ...preparing] : [...ready];
+}
+
+function getPoolStatus() {
+  return {
+    enabled: config.POOL_SIZE > 0,
+    size: config.POOL_SIZE,
+    ready: ready.length,
+    preparing: inFlight,
+    ...stats,
+    lastError,
+  };
+}
+
+module.exports = {
+  startPool,
+  stopPool,
+  refillPool,
+  claimPrepared,
+  listPreparedEntries,
+  getPoolStatus,
+};
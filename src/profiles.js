@@ -0,0 +1,204 @@
+// src/profiles.js
+// Persona profiles – several assistants hosted from one deployment, each with
+// its own prompt, refusal text, workspace settings and documents.
+// The "default" profile is built from src/config.js; more profiles are read
+// from PROFILES_FILE (YAML or JSON) and inherit any setting they leave out.
+// A request picks its profile by route (/p/:profile) or by Host header.
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const { ConfigError, parseValue, readConfigFile, resolvePath } = require('./configLoader');
+
+const DEFAULT_PROFILE = 'default';
+// Profile names appear in URLs, cookie names and AnythingLLM folder names
+const PROFILE_NAME_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+// Per-profile workspace settings and the config.js settings they are validated like
+const WORKSPACE_SETTINGS = {
+  similarityThreshold: 'SIMILARITY_THRESHOLD',
+  openAiTemp: 'OPENAI_TEMP',
+  openAiHistory: 'OPENAI_HISTORY',
+  chatMode: 'CHAT_MODE',
+  topN: 'TOP_N',
+};
+
+let profiles = null; // Map<name, profile>
+
+function buildDefaultProfile(settings) {
+  return {
+    name: DEFAULT_PROFILE,
+    hosts: [],
+    workspaceName: settings.WORKSPACE_NAME,
+    documentsDir: resolvePath('custom-documents'),
+    folderName: 'custom-documents',
+    prompt: settings.OPENAI_PROMPT,
+    queryRefusalResponse: settings.QUERY_REFUSAL_RESPONSE,
+    workspace: {
+      similarityThreshold: settings.SIMILARITY_THRESHOLD,
+      openAiTemp: settings.OPENAI_TEMP,
+      openAiHistory: settings.OPENAI_HISTORY,
+      chatMode: settings.CHAT_MODE,
+      topN: settings.TOP_N,
+    },
+    promptFiles: [],
+  };
+}
+
+// Text given inline, or read from `<key>File` (whose path is recorded for the file watcher)
+function readText(definition, key, fail, files) {
+  if (definition[key] !== undefined) return definition[key];
+  const file = definition[`${key}File`];
+  if (file === undefined) return undefined;
+  if (typeof file !== 'string') fail(`"${key}File" must be a path`);
+  try {
+    files.push(resolvePath(file));
+    return fs.readFileSync(resolvePath(file), 'utf8');
+  } catch (error) {
+    fail(`could not read "${key}File": ${error.message}`);
+  }
+}
+
+// Merge a profile definition from the file over the default profile
+function buildProfile(name, definition, defaults, file) {
+  const fail = (message) => {
+    throw new ConfigError([`Invalid profile "${name}" in ${file}: ${message}`]);
+  };
+
+  if (!PROFILE_NAME_PATTERN.test(name)) fail('names may only use lowercase letters, digits and dashes');
+  if (!definition || typeof definition !== 'object') fail('expected an object');
+
+  const hosts = definition.hosts || [];
+  if (!Array.isArray(hosts) || hosts.some((host) => typeof host !== 'string')) {
+    fail('"hosts" must be a list of host names');
+  }
+  for (const key of ['workspaceName', 'documentsDir', 'folderName', 'prompt', 'queryRefusalResponse']) {
+    if (definition[key] !== undefined && typeof definition[key] !== 'string') fail(`"${key}" must be a string`);
+  }
+  const settings = {};
+  for (const [key, value] of Object.entries(definition.workspace || {})) {
+    if (!WORKSPACE_SETTINGS[key]) fail(`unknown workspace setting "${key}"`);
+    try {
+      settings[key] = parseValue(value, config.SCHEMA[WORKSPACE_SETTINGS[key]]);
+    } catch (error) {
+      fail(`workspace setting "${key}": ${error.message}`);
+    }
+  }
+  const promptFiles = [];
+  const prompt = readText(definition, 'prompt', fail, promptFiles);
+  const queryRefusalResponse = readText(definition, 'queryRefusalResponse', fail, promptFiles);
+
+  return {
+    name,
+    hosts: hosts.map((host) => host.toLowerCase()),
+    // Distinct names keep generated workspaces recognisable for reconciliation
+    workspaceName: definition.workspaceName || `${defaults.workspaceName} - ${name}`,
+    documentsDir: resolvePath(definition.documentsDir || path.join('custom-documents', name)),
+    folderName: definition.folderName || `custom-documents-${name}`,
+    prompt: prompt ?? defaults.prompt,
+    queryRefusalResponse: queryRefusalResponse ?? defaults.queryRefusalResponse,
+    workspace: { ...defaults.workspace, ...settings },
+    promptFiles,
+  };
+}
+
+/**
+ * Load the default profile plus those defined in PROFILES_FILE.
+ * Throws a ConfigError on an unreadable or invalid file so misconfiguration shows up at startup.
+ * @param {object} [settings] - configuration to build from; defaults to the current src/config.js values
+ * @returns {Map<string, object>}
+ */
+function loadProfiles(settings = config) {
+  const file = resolvePath(settings.PROFILES_FILE);
+  const defaults = buildDefaultProfile(settings);
+  const loaded = new Map([[DEFAULT_PROFILE, defaults]]);
+
+  let definitions = {};
+  try {
+    definitions = readConfigFile(file).profiles || {};
+  } catch (error) {
+    if (error.code === 'ENOENT') return loaded;
+    throw new ConfigError([`Could not load profiles from ${file}: ${error.message}`]);
+  }
+
+  const hostOwners = new Map();
+  const folderOwners = new Map([[defaults.folderName, DEFAULT_PROFILE]]);
+  for (const [name, definition] of Object.entries(definitions)) {
+    const profile =
+      name === DEFAULT_PROFILE
+        ? { ...defaults, hosts: (definition.hosts || []).map((host) => host.toLowerCase()) }
+        : buildProfile(name, definition, defaults, file);
+
+    for (const host of profile.hosts) {
+      if (hostOwners.has(host)) {
+        throw new ConfigError([`Host "${host}" is mapped to both "${hostOwners.get(host)}" and "${name}" in ${file}`]);
+      }
+      hostOwners.set(host, name);
+    }
+    if (name !== DEFAULT_PROFILE) {
+      if (folderOwners.has(profile.folderName)) {
+        throw new ConfigError([`Folder "${profile.folderName}" is used by both "${folderOwners.get(profile.folderName)}" and "${name}" in ${file}`]);
+      }
+      folderOwners.set(profile.folderName, name);
+    }
+    loaded.set(name, profile);
+  }
+  return loaded;
+}
+
+function getProfiles() {
+  if (!profiles) profiles = loadProfiles();
+  return profiles;
+}
+
+// Swap in a freshly loaded set of profiles (see src/hotReload.js)
+function setProfiles(next) {
+  profiles = next;
+}
+
+function listProfiles() {
+  return [...getProfiles().values()];
+}
+
+function getDefaultProfile() {
+  return getProfiles().get(DEFAULT_PROFILE);
+}
+
+// Profile by name, or null if there is no such profile
+function getProfile(name) {
+  return getProfiles().get(name) || null;
+}
+
+/**
+ * Pick the profile for a request: an explicit name (from /p/:profile or the API)
+ * wins, then a Host header mapping, then the default profile.
+ * Returns null when an explicit name doesn't match any profile.
+ */
+function resolveProfile({ name, host } = {}) {
+  if (name) return getProfile(name);
+  if (host) {
+    const normalized = host.toLowerCase();
+    for (const profile of getProfiles().values()) {
+      if (profile.hosts.includes(normalized)) return profile;
+    }
+  }
+  return getDefaultProfile();
+}
+
+// Profile a stored session was created with (sessions from before profiles use the default)
+function getSessionProfile(session) {
+  const name = session.profile || DEFAULT_PROFILE;
+  const profile = getProfile(name);
+  if (!profile) throw new Error(`Profile "${name}" is no longer configured`);
+  return profile;
+}
+
+module.exports = {
+  DEFAULT_PROFILE,
+  loadProfiles,
+  setProfiles,
+  listProfiles,
+  getDefaultProfile,
+  getProfile,
+  resolveProfile,
+  getSessionProfile,
+};
@@ -0,0 +1,359 @@
+// src/provisioner.js
+// Provisioning pipeline. Steps form a dependency graph (see src/pipeline.js),
+// so independent ones – creating the user and the workspace – run at the same
+// time. Every step persists what it produced as soon as it finishes, so a
+// session that was interrupted by a crash can be resumed or rolled back on restart.
+//
+//   Creating user ───────────────────────────────┐
+//                                                ├→ Adding user to workspace ────────────────┐
+//   Creating workspace ─┬────────────────────────┘                                           ├→ ready
+//                       └→ Adding documents → Waiting for embeddings → Verifying workspace ──┘
+//
+// A session's status records how far it got:
+//   pending → user_created → workspace_created → docs_added → ready
+//        ↘ failed (rolled back)        ready/failed → deleting → (removed)
+
+const config = require('./config');
+const workspace = require('./workspace');
+const profiles = require('./profiles');
+const metrics = require('./metrics');
+const { validatePipeline, runPipeline } = require('./pipeline');
+const { withSignal } = require('./anythingllm');
+const { createLogger, withContext } = require('./logger');
+
+const log = createLogger({ module: 'provisioner' });
+
+const { SESSION_STATES, IN_PROGRESS_STATES } = workspace;
+
+// Sessions recorded before documentsAdded existed only have their status to go by
+const documentsAdded = (session) => Boolean(session.documentsAdded) || session.status === SESSION_STATES.DOCS_ADDED;
+
+// Provisioning steps. `needs` names the steps that must finish first, `weight`
+// is the step's share of the progress bar, `done` tells from a stored session
+// whether the step already ran, and `run` returns the fields to persist.
+const STEPS = [
+  {
+    name: 'Creating user',
+    needs: [],
+    weight: 1,
+    done: (session) => Boolean(session.userId),
+    run: async (session) => {
+      const userId = await workspace.createUser(session.username);
+      return { userId };
+    },
+  },
+  {
+    name: 'Creating workspace',
+    needs: [],
+    weight: 1,
+    done: (session) => Boolean(session.workspaceSlug),
+    run: async (session) => {
+      const profile = profiles.getSessionProfile(session);
+      const workspaceSlug = await workspace.createWorkspace(session.workspaceName, profile);
+      return { workspaceSlug };
+    },
+  },
+  {
+    name: 'Adding documents to workspace',
+    needs: ['Creating workspace'],
+    weight: 4,
+    done: documentsAdded,
+    run: async (session) => {
+      const result = await workspace.addDocumentsToWorkspace(session.workspaceSlug, profiles.getSessionProfile(session));
+      log.info('Documents processed for workspace', { workspaceSlug: session.workspaceSlug });
+      // Documents validation skipped or that failed to upload, reported to the visitor and on /health
+      return { documentsAdded: true, documents: result.added || [], documentReport: result.report || null };
+    },
+  },
+  {
+    name: 'Adding user to workspace',
+    needs: ['Creating user', 'Creating workspace'],
+    weight: 1,
+    done: (session) => Boolean(session.userAddResult),
+    run: async (session) => {
+      const userAddResult = await workspace.addUserToWorkspace(session.userId, session.workspaceSlug);
+      return { userAddResult };
+    },
+  },
+  {
+    // Replaces a fixed "settle" delay: hand over once AnythingLLM lists the documents as embedded
+    name: 'Waiting for embeddings',
+    needs: ['Adding documents to workspace'],
+    weight: 2,
+    done: () => false,
+    run: async (session) => {
+      const { ready, missing } = await workspace.waitForEmbeddings(session.workspaceSlug, session.documents || []);
+      if (!ready) {
+        log.warn('Documents not embedded before the wait timed out, continuing', {
+          workspaceSlug: session.workspaceSlug,
+          missing,
+        });
+      }
+      return { embeddingsReady: ready };
+    },
+  },
+  {
+    name: 'Verifying workspace',
+    needs: ['Waiting for embeddings'],
+    weight: 1,
+    done: (session) => Boolean(session.verification),
+    run: async (session) => {
+      if (config.VERIFY_MODE === 'off' || config.SKIP_DOCUMENTS) return { verification: { skipped: true } };
+      const verification = await workspace.verifyWorkspace(session.workspaceSlug, session.documents || []);
+      if (!verification.passed) {
+        const reason = describeVerificationFailure(verification);
+        if (config.VERIFY_MODE === 'fail') throw new Error(`Workspace verification failed: ${reason}`);
+        log.warn('Workspace verification failed, handing over anyway', { workspaceSlug: session.workspaceSlug, reason });
+      }
+      return { verification };
+    },
+  },
+];
+validatePipeline(STEPS);
+
+// Shown while the step runs
+const STEP_TEXT = {
+  'Creating user': 'Creating user',
+  'Creating workspace': 'Creating workspace',
+  'Adding documents to workspace': 'Adding documents',
+  'Adding user to workspace': 'Adding user to workspace',
+  'Waiting for embeddings': 'Waiting for documents to be embedded',
+  'Verifying workspace': 'Verifying workspace',
+};
+
+function describeVerificationFailure({ documents, canary }) {
+  if (documents.missing.length > 0) {
+    return `${documents.missing.length} of ${documents.expected} documents not embedded (${documents.missing.join(', ')})`;
+  }
+  return `the canary query "${canary.query}" was not answered from any document`;
+}
+
+// How far a stored session got, for its status
+function progressState(session) {
+  if (!session.userId) return SESSION_STATES.PENDING;
+  if (!session.workspaceSlug) return SESSION_STATES.USER_CREATED;
+  if (!documentsAdded(session)) return SESSION_STATES.WORKSPACE_CREATED;
+  return SESSION_STATES.DOCS_ADDED;
+}
+
+// "Creating user, creating workspace..." for the steps running side by side
+function describeRunning(steps) {
+  const texts = steps.map((step, i) => {
+    const text = STEP_TEXT[step.name] || step.name;
+    return i === 0 ? text : text[0].toLowerCase() + text.slice(1);
+  });
+  return `${texts.join(', ')}...`;
+}
+
+/**
+ * Run the provisioning steps a record (a session or a warm pool entry) hasn't done yet.
+ * The record needs `username`, `workspaceName` and `profile`; each step sees it with
+ * the results of the steps before it merged in.
+ * @param {object} record
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - ties the steps' requests to the signal (see runPipeline)
+ * @param {(changes: object, record: object) => Promise<void>|void} [options.onDone] - runs after
+ *   each step with its results and the updated record, e.g. to persist them
+ * @param {(percent: number, text: string) => void} [options.onProgress] - `percent` of the whole run
+ * @returns {Promise<object>} the record with every step's results merged in
+ */
+async function runSteps(record, { signal, onDone = () => {}, onProgress = () => {} } = {}) {
+  let current = { ...record };
+  await withSignal(signal, () => runPipeline(
+    STEPS.map((step) => ({
+      ...step,
+      run: () => metrics.timeStep(step.name, () => step.run(current)),
+    })),
+    {
+      completed: STEPS.filter((step) => step.done(current)).map((step) => step.name),
+      signal,
+      onDone: async (step, changes) => {
+        current = { ...current, ...changes };
+        await onDone(changes, current);
+      },
+      onProgress: ({ percent, running }) => {
+        if (running.length > 0) onProgress(percent, describeRunning(running));
+      },
+    }
+  ));
+  return current;
+}
+
+// Record a new session in the 'pending' state before any resource is created.
+// `fields` are stored with it (e.g. the API's access token hash).
+async function startSession(sessionId, profile = profiles.getDefaultProfile(), fields = {}) {
+  log.info('Starting session setup', { sessionId, profile: profile.name });
+  return workspace.createSession(sessionId, {
+    ...fields,
+    profile: profile.name,
+    username: `test_${Date.now()}`,
+    workspaceName: `${profile.workspaceName} - ${sessionId}`,
+  });
+}
+
+/**
+ * Run the remaining provisioning steps for a stored session.
+ * On failure the session is marked failed, its resources are rolled back,
+ * and the error is rethrown with `step`, `userId`, `workspaceSlug` and `rolledBack` set.
+ * A session that isn't in progress (e.g. already ready) is left untouched and an error thrown.
+ * @param {string} sessionId
+ * @param {object} [options]
+ * @param {(percent: number, text: string) => void} [options.onProgress]
+ * @param {(report: { skipped: object[], failed: object[] }) => void} [options.onDocumentReport] - documents
+ *   that were skipped or failed to upload, once they are added to the workspace
+ * @param {object} [options.prepared] - a warm pool entry to adopt instead of creating resources
+ * @param {AbortSignal} [options.signal] - aborting it (e.g. on a job timeout) cancels the
+ *   requests in flight; once the running steps have settled and recorded what they created,
+ *   the session is rolled back. Anything a cancelled request created that can't be found
+ *   is left to orphan reconciliation
+ * @returns {Promise<object>} the ready session
+ */
+async function provisionSession(sessionId, { onProgress = () => {}, onDocumentReport = () => {}, prepared = null, signal } = {}) {
+  let session = await workspace.getSession(sessionId);
+  if (!session) throw new Error(`Session ${sessionId} not found`);
+  // Checked outside the try below: a stale or duplicate call must not fail and roll back the session
+  if (!IN_PROGRESS_STATES.includes(session.status)) {
+    throw new Error(`Cannot provision session in state "${session.status}"`);
+  }
+  let currentStep = 'Unknown';
+
+  try {
+    if (prepared) {
+      currentStep = 'Claiming prepared workspace';
+      onProgress(60, 'Claiming a prepared workspace...');
+      session = await metrics.timeStep(currentStep, () =>
+        workspace.markSessionReady(sessionId, {
+          userId: prepared.userId,
+          workspaceSlug: prepared.workspaceSlug,
+          userAddResult: prepared.userAddResult,
+          poolId: prepared.poolId,
+          // What the pool's run of the steps found, for the success page
+          documents: prepared.documents,
+          documentReport: prepared.documentReport,
+          embeddingsReady: prepared.embeddingsReady,
+          verification: prepared.verification,
+        })
+      );
+      log.info('Claimed prepared workspace', {
+        sessionId,
+        workspaceSlug: prepared.workspaceSlug,
+        userId: prepared.userId,
+      });
+      metrics.sessionsCreated.inc({ profile: session.profile || profiles.DEFAULT_PROFILE, source: 'pool' });
+      return session;
+    }
+
+    // Steps' requests are tied to `signal`; the rollback below runs outside it
+    currentStep = 'Provisioning workspace';
+    await runSteps(session, {
+      signal,
+      // Merged locally first, so whichever step finishes last writes the furthest status
+      onDone: async (changes, updated) => {
+        session = { ...updated, status: progressState(updated) };
+        await workspace.updateSession(sessionId, { ...changes, status: session.status });
+        if (changes.documentReport) onDocumentReport(changes.documentReport);
+      },
+      onProgress: (percent, text) => onProgress(5 + Math.round(percent * 0.8), text),
+    });
+    session = await workspace.markSessionReady(sessionId);
+    metrics.sessionsCreated.inc({ profile: session.profile || profiles.DEFAULT_PROFILE, source: 'provisioned' });
+    return session;
+  } catch (error) {
+    if (error.failedStep) currentStep = error.failedStep;
+    log.error('Session setup failed', { sessionId, step: currentStep, err: error });
+    metrics.sessionsFailed.inc({ profile: session.profile || profiles.DEFAULT_PROFILE, step: currentStep });
+
+    const failed =
+      (await workspace.updateSession(sessionId, {
+        status: SESSION_STATES.FAILED,
+        error: error.message,
+        errorStep: currentStep,
+      })) || session;
+    const { workspaceDeleted, userDeleted } = await rollbackSession(sessionId, failed);
+
+    error.step = currentStep;
+    error.userId = failed.userId;
+    error.workspaceSlug = failed.workspaceSlug;
+    error.rolledBack = workspaceDeleted && userDeleted;
+    throw error;
+  }
+}
+
+// Delete whatever a session created. Its record is removed only if that fully succeeds.
+async function rollbackSession(sessionId, session) {
+  try {
+    const result = await workspace.destroySession(sessionId, session);
+    if (result.workspaceDeleted && result.userDeleted) {
+      log.info('Rolled back session', { sessionId });
+    } else {
+      log.warn('Partial rollback of session', {
+        sessionId,
+        workspaceDeleted: result.workspaceDeleted,
+        userDeleted: result.userDeleted,
+      });
+    }
+    return result;
+  } catch (error) {
+    log.error('Failed to roll back session', { sessionId, err: error });
+    return { workspaceDeleted: false, userDeleted: false };
+  }
+}
+
+/**
+ * Resume or roll back sessions left half-finished by a previous process.
+ * In-progress sessions are resumed when RECOVERY_ACTION is 'resume' (the default)
+ * and rolled back when it is 'rollback'; failed and deleting sessions are always rolled back.
+ * @param {object} [options]
+ * @param {Date|string} [options.createdBefore] - when this process started; sessions recorded
+ *   since then belong to it (their setup is running or queued) and are left alone
+ * @param {(sessionId: string) => boolean} [options.isActive] - whether a setup job is running or
+ *   queued for the session; asked right before each session is touched, and such sessions are skipped
+ */
+async function recoverSessions({ createdBefore, isActive = () => false } = {}) {
+  const sessions = await workspace.getAllSessions();
+  const results = { resumed: 0, rolledBack: 0, failed: 0, skipped: 0 };
+  const cutoff = createdBefore ? new Date(createdBefore).getTime() : Infinity;
+
+  for (const sessionId of Object.keys(sessions)) {
+    const session = sessions[sessionId];
+    const inProgress = IN_PROGRESS_STATES.includes(session.status);
+    const needsRollback =
+      session.status === SESSION_STATES.FAILED || session.status === SESSION_STATES.DELETING;
+    if (!inProgress && !needsRollback) continue;
+    if (new Date(session.createdAt).getTime() >= cutoff || isActive(sessionId)) {
+      results.skipped++;
+      continue;
+    }
+
+    if (inProgress && config.RECOVERY_ACTION === 'resume') {
+      log.info('Recovery: resuming session', { sessionId, status: session.status });
+      try {
+        await withContext({ sessionId }, () => provisionSession(sessionId));
+        results.resumed++;
+      } catch (error) {
+        // provisionSession already rolled it back
+        results.failed++;
+      }
+      continue;
+    }
+
+    log.info('Recovery: rolling back session', { sessionId, status: session.status });
+    const { workspaceDeleted, userDeleted } = await withContext({ sessionId }, () =>
+      rollbackSession(sessionId, session)
+    );
+    if (workspaceDeleted && userDeleted) results.rolledBack++;
+    else results.failed++;
+  }
+
+  log.info('Recovery complete', results);
+  return results;
+}
+
+module.exports = {
+  IN_PROGRESS_STATES,
+  runSteps,
+  startSession,
+  provisionSession,
+  rollbackSession,
+  recoverSessions,
+};
@@ -0,0 +1,176 @@
+// src/rateLimit.js
+// Abuse protection for session creation: per-IP and global sliding-window
+// rate limits, a cap on the number of concurrently live sessions, and a cap on
+// the number of setups waiting in the provisioning queue.
+
+const { createLogger } = require('./logger');
+
+const log = createLogger({ module: 'rateLimit' });
+
+// Record of request timestamps inside the current window
+function createWindow(windowMs) {
+  let hits = [];
+  return {
+    prune(now) {
+      while (hits.length > 0 && hits[0] <= now - windowMs) hits.shift();
+    },
+    count(now) {
+      this.prune(now);
+      return hits.length;
+    },
+    add(now) {
+      hits.push(now);
+    },
+    // Milliseconds until the oldest hit leaves the window
+    retryAfter(now) {
+      return hits.length > 0 ? Math.max(0, hits[0] + windowMs - now) : 0;
+    },
+  };
+}
+
+/**
+ * Build the session creation limiter.
+ * @param {object} config - configuration object from src/config.js
+ * @param {object} deps
+ * @param {() => Promise<number>} deps.countLiveSessions - sessions currently live or being set up
+ * @param {() => number} [deps.countQueued] - setups waiting for a provisioning slot
+ * @param {(opts: object) => string} deps.renderTryAgainPage - HTML for over-limit responses
+ */
+function createSessionLimiter(config, { countLiveSessions, countQueued = () => 0, renderTryAgainPage }) {
+  const windowMs = config.RATE_LIMIT_WINDOW_MS;
+  const perIp = new Map(); // Map<ip, window>
+  const global = createWindow(windowMs);
+  const rejected = { perIp: 0, global: 0, liveSessions: 0, queueFull: 0 };
+
+  // Drop idle IPs so the map doesn't grow forever
+  const pruneTimer = setInterval(() => {
+    const now = Date.now();
+    for (const [ip, ipWindow] of perIp) {
+      if (ipWindow.count(now) === 0) perIp.delete(ip);
+    }
+  }, Math.min(windowMs, 60000));
+  pruneTimer.unref();
+
+  // Over-limit response: the "try again later" page, or a JSON error for the API.
+  // A full queue is the service being busy (503) rather than the client asking too often (429).
+  function reject(res, format, reason, message, retryAfterMs) {
+    rejected[reason]++;
+    const retryAfterSeconds = Math.max(1, Math.ceil(retryAfterMs / 1000));
+    const busy = reason === 'queueFull';
+    res.set('Retry-After', String(retryAfterSeconds));
+    if (format === 'json') {
+      return res.status(busy ? 503 : 429).json({
+        error: { code: busy ? 'busy' : 'rate_limited', reason, message, retryAfterSeconds }
+      });
+    }
+    res.status(busy ? 503 : 429).send(renderTryAgainPage({ message, retryAfterSeconds, startPath: res.locals.startPath }));
+  }
+
+  // Requests let through the live-session cap whose session isn't in the store yet.
+  // Each holds its reservation until its response is sent, by which time the route has recorded it.
+  let reserved = 0;
+  let liveCheck = Promise.resolve();
+
+  // Count live sessions and reserve a place, one request at a time so a burst can't all
+  // pass on the same count. Reservations are read before counting: a session recorded
+  // meanwhile may be counted twice, but never missed. Resolves to a release function,
+  // or null when the cap is reached.
+  function reserveLiveSession(ip) {
+    const result = liveCheck.then(async () => {
+      const pending = reserved;
+      const live = (await countLiveSessions()) + pending;
+      if (live >= config.MAX_LIVE_SESSIONS) {
+        log.warn('Rejected session creation: too many live sessions', { ip, live, max: config.MAX_LIVE_SESSIONS });
+        return null;
+      }
+      reserved++;
+      let released = false;
+      return () => {
+        if (released) return;
+        released = true;
+        reserved--;
+      };
+    });
+    liveCheck = result.catch(() => {});
+    return result;
+  }
+
+  const limit = (format) => async (req, res, next) => {
+    const ip = req.ip;
+    let release = () => {};
+
+    if (config.MAX_LIVE_SESSIONS > 0) {
+      try {
+        const reservation = await reserveLiveSession(ip);
+        if (!reservation) {
+          return reject(res, format, 'liveSessions', 'All workspaces are currently in use.', 5 * 60 * 1000);
+        }
+        release = reservation;
+        res.on('finish', release);
+        res.on('close', release);
+      } catch (error) {
+        // Counting is best-effort; don't lock visitors out because storage is unreadable
+        log.error('Error counting live sessions', { err: error });
+      }
+    }
+
+    const now = Date.now();
+    if (config.PROVISION_QUEUE_LIMIT > 0 && countQueued() >= config.PROVISION_QUEUE_LIMIT) {
+      log.warn('Rejected session creation: provisioning queue is full', { ip, max: config.PROVISION_QUEUE_LIMIT });
+      release();
+      return reject(res, format, 'queueFull', 'Too many workspaces are being set up right now.', 30 * 1000);
+    }
+
+    if (config.RATE_LIMIT_GLOBAL > 0 && global.count(now) >= config.RATE_LIMIT_GLOBAL) {
+      log.warn('Rejected session creation: global rate limit reached', { ip });
+      release();
+      return reject(res, format, 'global', 'We are receiving too many requests right now.', global.retryAfter(now));
+    }
+
+    let ipWindow = perIp.get(ip);
+    if (!ipWindow) {
+      ipWindow = createWindow(windowMs);
+      perIp.set(ip, ipWindow);
+    }
+    if (config.RATE_LIMIT_PER_IP > 0 && ipWindow.count(now) >= config.RATE_LIMIT_PER_IP) {
+      log.warn('Rejected session creation: per-IP rate limit reached', { ip });
+      release();
+      return reject(res, format, 'perIp', 'You have started too many workspaces recently.', ipWindow.retryAfter(now));
+    }
+
+    global.add(now);
+    ipWindow.add(now);
+    next();
+  };
+
+  async function getStatus() {
+    const now = Date.now();
+    let liveSessions = null;
+    try {
+      liveSessions = await countLiveSessions();
+    } catch (error) {
+      log.error('Error counting live sessions', { err: error });
+    }
+    return {
+      limits: {
+        windowMs,
+        perIp: config.RATE_LIMIT_PER_IP,
+        global: config.RATE_LIMIT_GLOBAL,
+        maxLiveSessions: config.MAX_LIVE_SESSIONS,
+        maxQueued: config.PROVISION_QUEUE_LIMIT,
+      },
+      counters: {
+        globalInWindow: global.count(now),
+        trackedIps: perIp.size,
+        liveSessions,
+        reservedSessions: reserved,
+        queued: countQueued(),
+        rejected: { ...rejected },
+      },
+    };
+  }
+
+  return { middleware: limit('html'), apiMiddleware: limit('json'), getStatus };
+}
+
+module.exports = { createSessionLimiter };
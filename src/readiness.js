@@ -0,0 +1,137 @@
+// src/readiness.js
+// Readiness checks against AnythingLLM: is the API reachable with a valid
+// API_KEY, is multi-user mode on (creating users needs it), and do the
+// profiles' document folders exist. Probes run in parallel with a timeout and
+// the combined result is cached for READINESS_CACHE_MS, so load balancer and
+// Docker health checks don't each hit the API.
+
+const config = require('./config');
+const workspace = require('./workspace');
+const profiles = require('./profiles');
+const { AnythingLLMError } = require('./anythingllm');
+const { createLogger } = require('./logger');
+
+const log = createLogger({ module: 'readiness' });
+
+// Dependencies that must be healthy to serve visitors; the rest only degrade the service
+const CHECKS = [
+  {
+    name: 'anythingllm',
+    critical: true,
+    run: async (timeout) => {
+      if (!(await workspace.verifyApiKey(timeout))) throw new Error('API_KEY was not accepted');
+      return {};
+    },
+  },
+  {
+    name: 'multiUserMode',
+    critical: true,
+    run: async (timeout) => {
+      if (!(await workspace.isMultiUserModeEnabled(timeout))) {
+        throw new Error('Multi-user mode is not enabled in AnythingLLM');
+      }
+      return {};
+    },
+  },
+  {
+    name: 'documents',
+    critical: false,
+    skip: () => config.SKIP_DOCUMENTS,
+    run: async (timeout) => {
+      const folders = {};
+      await Promise.all(
+        profiles.listProfiles().map(async ({ folderName }) => {
+          folders[folderName] = await workspace.documentFolderExists(folderName, timeout);
+        })
+      );
+      const missing = Object.keys(folders).filter((folderName) => !folders[folderName]);
+      if (missing.length > 0) {
+        const error = new Error(`Document folder${missing.length > 1 ? 's' : ''} missing: ${missing.join(', ')}`);
+        error.details = { folders };
+        throw error;
+      }
+      return { folders };
+    },
+  },
+];
+
+let cached = null; // { at, result }
+let inFlight = null;
+
+// Explain a failed probe without dumping the whole error
+function describeFailure(error) {
+  if (!(error instanceof AnythingLLMError)) return error.message;
+  if (error.kind === 'auth') return `API_KEY was rejected (HTTP ${error.status})`;
+  if (error.kind === 'network') {
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') return 'Timed out';
+    return `AnythingLLM is unreachable${error.code ? ` (${error.code})` : ''}`;
+  }
+  if (error.status) return `AnythingLLM returned HTTP ${error.status}`;
+  return error.message;
+}
+
+async function runCheck(check) {
+  const checkedAt = new Date().toISOString();
+  if (check.skip && check.skip()) {
+    return { status: 'skipped', critical: check.critical, checkedAt };
+  }
+  const startedAt = Date.now();
+  try {
+    const details = await check.run(config.READINESS_TIMEOUT_MS);
+    return { status: 'ok', critical: check.critical, latencyMs: Date.now() - startedAt, checkedAt, ...details };
+  } catch (error) {
+    return {
+      status: 'fail',
+      critical: check.critical,
+      latencyMs: Date.now() - startedAt,
+      checkedAt,
+      error: describeFailure(error),
+      ...error.details,
+    };
+  }
+}
+
+async function runChecks() {
+  const results = await Promise.all(CHECKS.map(runCheck));
+  const dependencies = {};
+  CHECKS.forEach((check, i) => {
+    dependencies[check.name] = results[i];
+  });
+
+  const failed = results.filter((result) => result.status === 'fail');
+  const status = failed.some((result) => result.critical) ? 'not_ready' : failed.length > 0 ? 'degraded' : 'ready';
+  const result = { status, checkedAt: new Date().toISOString(), dependencies };
+
+  if (cached && cached.result.status !== status) {
+    log[status === 'ready' ? 'info' : 'warn']('Readiness changed', {
+      from: cached.result.status,
+      to: status,
+      failing: Object.keys(dependencies).filter((name) => dependencies[name].status === 'fail'),
+    });
+  }
+  cached = { at: Date.now(), result };
+  return result;
+}
+
+/**
+ * Probe AnythingLLM, reusing a result younger than READINESS_CACHE_MS.
+ * Concurrent callers share one round of probes.
+ * @param {object} [options]
+ * @param {boolean} [options.force] - ignore the cache
+ * @returns {Promise<object>} { status: 'ready'|'degraded'|'not_ready', checkedAt, dependencies }
+ */
+function checkReadiness({ force = false } = {}) {
+  if (!force && cached && Date.now() - cached.at < config.READINESS_CACHE_MS) {
+    return Promise.resolve(cached.result);
+  }
+  if (!inFlight) {
+    inFlight = runChecks().finally(() => {
+      inFlight = null;
+    });
+  }
+  return inFlight;
+}
+
+module.exports = {
+  checkReadiness,
+};
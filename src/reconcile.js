@@ -0,0 +1,143 @@
+// src/reconcile.js
+// Orphan reconciliation against the AnythingLLM instance.
+// Lists users and workspaces from the admin API, picks out the ones this
+// service generates (`test_<timestamp>` users and `<profile workspace name> - session-…`
+// workspaces) and reports – or deletes – any that no session or pool entry owns.
+
+const config = require('./config');
+const workspace = require('./workspace');
+const pool = require('./pool');
+const profiles = require('./profiles');
+const { createLogger } = require('./logger');
+
+const log = createLogger({ module: 'reconcile' });
+
+const USERNAME_PATTERN = /^test_(\d+)$/;
+const SESSION_ID_PATTERN = /^session-(\d+)-/;
+
+let lastReport = null;
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Creation time encoded in a generated username, or null if it isn't ours
+function parseUserTimestamp(username) {
+  const match = USERNAME_PATTERN.exec(username || '');
+  return match ? parseInt(match[1], 10) : null;
+}
+
+// Creation time encoded in a generated workspace name (for any profile), or null if it isn't ours
+function parseWorkspaceTimestamp(name) {
+  for (const profile of profiles.listProfiles()) {
+    const prefix = new RegExp(`^${escapeRegExp(profile.workspaceName)} - `);
+    if (!prefix.test(name || '')) continue;
+    const match = SESSION_ID_PATTERN.exec(name.replace(prefix, ''));
+    if (match) return parseInt(match[1], 10);
+  }
+  return null;
+}
+
+// User IDs and workspace slugs that belong to a tracked session or pool entry
+async function collectKnownResources() {
+  const userIds = new Set();
+  const workspaceSlugs = new Set();
+  const sessions = await workspace.getAllSessions();
+  const prepared = await pool.listPreparedEntries({ includePreparing: true });
+
+  for (const owner of [...Object.values(sessions), ...prepared]) {
+    if (owner.userId != null) userIds.add(String(owner.userId));
+    if (owner.workspaceSlug) workspaceSlugs.add(owner.workspaceSlug);
+  }
+  return { userIds, workspaceSlugs };
+}
+
+/**
+ * Find generated users and workspaces that no session or pool entry owns.
+ * Resources younger than RECONCILE_GRACE_MINUTES are skipped, since a setup
+ * in progress may not have recorded them yet.
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun=true] - only report; don't delete anything
+ * @returns {Promise<object>} JSON report
+ */
+async function reconcile({ dryRun = true } = {}) {
+  log.info('Starting orphan reconciliation', { dryRun });
+  const startedAt = new Date();
+  const graceCutoff = startedAt.getTime() - config.RECONCILE_GRACE_MINUTES * 60 * 1000;
+
+  const [users, workspaces, known] = await Promise.all([
+    workspace.listUsers(),
+    workspace.listWorkspaces(),
+    collectKnownResources(),
+  ]);
+
+  const report = {
+    dryRun,
+    startedAt: startedAt.toISOString(),
+    finishedAt: null,
+    graceMinutes: config.RECONCILE_GRACE_MINUTES,
+    users: { scanned: users.length, generated: 0, tracked: 0, tooRecent: 0, orphans: [] },
+    workspaces: { scanned: workspaces.length, generated: 0, tracked: 0, tooRecent: 0, orphans: [] },
+    deleted: { users: 0, workspaces: 0 },
+    errors: [],
+  };
+
+  for (const user of users) {
+    const createdAt = parseUserTimestamp(user.username);
+    if (createdAt === null) continue;
+    report.users.generated++;
+    if (known.userIds.has(String(user.id))) {
+      report.users.tracked++;
+    } else if (createdAt > graceCutoff) {
+      report.users.tooRecent++;
+    } else {
+      report.users.orphans.push({ id: user.id, username: user.username });
+    }
+  }
+
+  for (const ws of workspaces) {
+    const createdAt = parseWorkspaceTimestamp(ws.name);
+    if (createdAt === null) continue;
+    report.workspaces.generated++;
+    if (known.workspaceSlugs.has(ws.slug)) {
+      report.workspaces.tracked++;
+    } else if (createdAt > graceCutoff) {
+      report.workspaces.tooRecent++;
+    } else {
+      report.workspaces.orphans.push({ slug: ws.slug, name: ws.name });
+    }
+  }
+
+  if (!dryRun) {
+    // Workspaces first, matching the order used by session cleanup
+    for (const orphan of report.workspaces.orphans) {
+      if (await workspace.deleteWorkspace(orphan.slug)) report.deleted.workspaces++;
+      else report.errors.push({ type: 'workspace', slug: orphan.slug, error: 'Delete failed' });
+    }
+    for (const orphan of report.users.orphans) {
+      if (await workspace.deleteUser(orphan.id)) report.deleted.users++;
+      else report.errors.push({ type: 'user', id: orphan.id, error: 'Delete failed' });
+    }
+  }
+
+  report.finishedAt = new Date().toISOString();
+  lastReport = report;
+  log.info('Reconciliation complete', {
+    dryRun,
+    orphanUsers: report.users.orphans.length,
+    orphanWorkspaces: report.workspaces.orphans.length,
+    deleted: report.deleted,
+  });
+  return report;
+}
+
+function getLastReport() {
+  return lastReport;
+}
+
+module.exports = {
+  reconcile,
+  getLastReport,
+  parseUserTimestamp,
+  parseWorkspaceTimestamp,
+};
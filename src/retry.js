@@ -0,0 +1,144 @@
+// src/retry.js
+// Retry policy for AnythingLLM calls. Only failures that can succeed on a
+// second try are retried (network errors, timeouts, 408/425/429 and 5xx),
+// with exponential backoff and jitter. Calls that create something aren't
+// blindly repeated: before retrying, they look for what the failed attempt
+// may have created anyway, so a timed-out request that went through doesn't
+// leave a duplicate behind. Once the current signal (see withSignal in
+// src/anythingllm.js) is aborted nothing is retried. Creates are never
+// cancelled mid-flight – the backend would go on and create anyway – but run
+// to completion, so the caller can record what they made and roll it back.
+
+const config = require('./config');
+const metrics = require('./metrics');
+const { createLogger } = require('./logger');
+const { AnythingLLMError, withSignal, currentSignal } = require('./anythingllm');
+
+const log = createLogger({ module: 'retry' });
+
+// Statuses worth another attempt; every other 4xx fails the same way again
+const RETRYABLE_STATUSES = new Set([408, 425, 429, 500, 502, 503, 504]);
+// Failures that mean the request was never processed, so even a create can be repeated
+const UNPROCESSED_CODES = new Set(['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN']);
+const UNPROCESSED_STATUSES = new Set([425, 429, 503]);
+
+/**
+ * Decide whether a failed call may be retried.
+ * @param {Error} error
+ * @returns {{ retryable: boolean, unprocessed: boolean, reason: string }} `reason`
+ *   is the HTTP status, network error code or error kind (used as a metric label)
+ */
+function classifyError(error) {
+  // Not an API failure – e.g. a precondition checked by the caller
+  if (!(error instanceof AnythingLLMError)) return { retryable: false, unprocessed: false, reason: 'error' };
+
+  if (error.kind === 'network') {
+    return { retryable: true, unprocessed: UNPROCESSED_CODES.has(error.code), reason: error.code || 'network' };
+  }
+  if (error.status && RETRYABLE_STATUSES.has(error.status)) {
+    return { retryable: true, unprocessed: UNPROCESSED_STATUSES.has(error.status), reason: String(error.status) };
+  }
+  return { retryable: false, unprocessed: false, reason: error.status ? String(error.status) : error.kind };
+}
+
+/**
+ * Delay before retry number `retry` (1-based): exponential backoff capped at
+ * API_RETRY_MAX_DELAY_MS, randomized over its upper half so concurrent setups
+ * don't retry in lockstep. A server's Retry-After wins when it is longer.
+ * @param {number} retry
+ * @param {Error} [error]
+ * @returns {number} milliseconds
+ */
+function backoffDelay(retry, error) {
+  const ceiling = Math.min(config.API_RETRY_MAX_DELAY_MS, config.API_RETRY_BASE_DELAY_MS * 2 ** (retry - 1));
+  const delay = Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+  const retryAfterMs = error && error.retryAfterMs ? Math.min(error.retryAfterMs, config.API_RETRY_MAX_DELAY_MS) : 0;
+  return Math.max(delay, retryAfterMs);
+}
+
+// Wait `ms`, or less if `signal` is aborted meanwhile
+function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    const done = () => {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', done);
+      resolve();
+    };
+    const timer = setTimeout(done, ms);
+    if (signal) signal.addEventListener('abort', done, { once: true });
+  });
+}
+
+// What a failed create made anyway, or null; looked up even when the current signal is aborted
+async function findCreated(findExisting, endpoint) {
+  try {
+    return await withSignal(null, findExisting);
+  } catch (lookupError) {
+    // Can't tell whether the attempt went through – a retry itself would say (e.g. 409)
+    log.warn('Could not check for a resource created by the failed attempt', { endpoint, err: lookupError });
+    return null;
+  }
+}
+
+/**
+ * Run an API call, retrying it according to the policy above.
+ * @param {() => Promise<*>} call
+ * @param {object} [options]
+ * @param {boolean} [options.idempotent] - false for calls that create something
+ * @param {() => Promise<*>} [options.findExisting] - for non-idempotent calls: resolves
+ *   to what a failed attempt may have created (returned instead of retrying), or null
+ * @param {number} [options.attempts] - defaults to API_RETRY_ATTEMPTS
+ */
+async function withRetry(call, { idempotent = true, findExisting = null, attempts = config.API_RETRY_ATTEMPTS } = {}) {
+  const signal = currentSignal();
+  for (let attempt = 1; ; attempt++) {
+    try {
+      if (idempotent) return await call();
+      if (signal && signal.aborted) throw signal.reason;
+      return await withSignal(null, call);
+    } catch (error) {
+      const endpoint = error.endpoint || 'other';
+      if (signal && signal.aborted) {
+        const existing = !idempotent && findExisting ? await findCreated(findExisting, endpoint) : null;
+        if (existing != null) {
+          log.info('Aborted call had created its resource, using it', { endpoint });
+          return existing;
+        }
+        throw error;
+      }
+      const { retryable, unprocessed, reason } = classifyError(error);
+      // Without a way to find what it created, a create is only repeated if it surely did nothing
+      const canRepeat = idempotent || findExisting || unprocessed;
+
+      if (!retryable || !canRepeat || attempt >= attempts) {
+        const cause = !retryable ? 'not_retryable' : !canRepeat ? 'not_idempotent' : 'exhausted';
+        if (attempt > 1 || cause !== 'not_retryable') {
+          log.warn('Giving up on API call', { endpoint, attempt, cause, reason, err: error });
+          metrics.apiGiveUps.inc({ endpoint, cause });
+        }
+        throw error;
+      }
+
+      const delayMs = backoffDelay(attempt, error);
+      log.warn('API call failed, retrying', { endpoint, attempt, attempts, reason, delayMs, err: error });
+      metrics.apiRetries.inc({ endpoint, reason });
+      await sleep(delayMs, signal);
+      if (signal && signal.aborted) continue; // the next attempt fails at once and is handled above
+
+      if (!idempotent && findExisting && !unprocessed) {
+        const existing = await findCreated(findExisting, endpoint);
+        if (existing != null) {
+          log.info('Failed attempt had succeeded, using its result', { endpoint, attempt });
+          metrics.apiDuplicatesAvoided.inc({ endpoint });
+          return existing;
+        }
+      }
+    }
+  }
+}
+
+module.exports = {
+  classifyError,
+  backoffDelay,
+  withRetry,
+};
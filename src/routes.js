@@ -1,25 +1,95 @@
 // src/routes.js
 // Centralized route definitions for the Express app
 
+const { requireAdmin } = require('./auth');
+const { createSessionLimiter } = require('./rateLimit');
+const provisioner = require('./provisioner');
+const { createEventHub, formatEvent } = require('./events');
+const { registerApiRoutes } = require('./api');
+const { createJobRunner } = require('./jobs');
+const { withSignal } = require('./anythingllm');
+const profiles = require('./profiles');
+const metrics = require('./metrics');
+const { createLogger, withContext } = require('./logger');
+
+const log = createLogger({ module: 'routes' });
+
+// Signed cookie mapping a browser to its sessionId, one per profile
+const SESSION_COOKIE = 'sso_session';
+
+function sessionCookieName(profile) {
+  return profile.name === profiles.DEFAULT_PROFILE ? SESSION_COOKIE : `${SESSION_COOKIE}_${profile.name}`;
+}
+
+// Whether the browser holds the signed cookie for this session (under any profile).
+// Progress and results carry the SSO login link, so only the visitor who started the setup may follow it.
+function ownsSession(req, sessionId) {
+  return Object.entries(req.signedCookies || {}).some(([name, value]) =>
+    (name === SESSION_COOKIE || name.startsWith(`${SESSION_COOKIE}_`)) && value === sessionId);
+}
+
 /**
  * Register all routes on the provided Express app.
  * @param {import('express').Express} app
  * @param {object} config - configuration object from src/config.js
  * @param {object} workspace - module exporting core functions and constants
- * @param {object} templates - { renderSuccessPage, renderErrorPage }
+ * @param {object} templates - page renderers from src/template.js
+ * @param {object} services - optional background services: { pool, reconciler, hotReload, readiness }
+ * @returns {{ setupJobs: object }} the setup job runner, so startup recovery can leave its sessions alone
  */
-function registerRoutes(app, config, workspace, { renderSuccessPage, renderErrorPage }) {
-
-  // Map to store SSE connections for each session
-  const sseConnections = new Map(); // Map<sessionId, res>
+function registerRoutes(app, config, workspace, templates, { pool, reconciler, hotReload, readiness } = {}) {
+  const {
+    renderErrorPage,
+    renderWelcomeBackPage,
+    renderTryAgainPage,
+    renderSetupProgressPage,
+    renderSetupResultPage
+  } = templates;
+
+  // Operator endpoints require admin credentials; visitor routes stay public
+  const adminOnly = requireAdmin(config);
+
+  // Buffered, replayable progress events for each session's SSE stream
+  const events = createEventHub();
   
-  // Map to store pending setup promises for each session
-  const pendingSetups = new Map(); // Map<sessionId, Promise>
+  // Provisioning runs as a background job from the moment a session is created,
+  // whether or not a client is attached to its progress stream. Only
+  // PROVISION_CONCURRENCY setups run at once so bursts don't overload AnythingLLM;
+  // the rest wait in line.
+  const setupJobs = createJobRunner({
+    name: 'session setup',
+    concurrency: () => config.PROVISION_CONCURRENCY,
+    timeoutMs: () => config.PROVISION_TIMEOUT_MS,
+    onStart: (sessionId, waitMs) => metrics.provisioningQueueWait.observe({}, waitMs / 1000),
+    onTimeout: () => metrics.provisioningTimeouts.inc(),
+  });
 
-  // SSE endpoint for a specific session
+  // Live sessions = unexpired stored sessions, including setups in progress
+  async function countLiveSessions() {
+    const live = await workspace.listLiveSessions();
+    return live.length;
+  }
+
+  // Gauges read at scrape time
+  metrics.liveSessions.setCollector(countLiveSessions);
+  metrics.sseConnections.setCollector(() => events.getStatus().connections);
+  metrics.provisioningQueued.setCollector(() => setupJobs.getStatus().queued);
+  metrics.provisioningRunning.setCollector(() => setupJobs.getStatus().running);
+
+  // Per-IP, global and concurrent-session limits on session creation
+  const sessionLimiter = createSessionLimiter(config, {
+    countLiveSessions,
+    countQueued: () => setupJobs.getStatus().queued,
+    renderTryAgainPage
+  });
+
+  // SSE endpoint for a specific session. Reconnecting clients send Last-Event-ID
+  // and get every event they missed, including the final result.
   app.get('/events/:sessionId', (req, res) => {
     const { sessionId } = req.params;
-    console.log(`SSE connection opened for session: ${sessionId}`);
+    const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId || '0', 10) || 0;
+    const owned = ownsSession(req, sessionId);
+    log.info('SSE connection opened', { sessionId, lastEventId, owned });
 
     res.writeHead(200, {
       'Content-Type': 'text/event-stream',
@@ -27,61 +97,256 @@ function registerRoutes(app, config, workspace, { renderSuccessPage, renderError
       'Cache-Control': 'no-cache',
     });
 
+    // Ask the browser to wait 3 seconds before reconnecting after a drop
+    res.write('retry: 3000\n\n');
+
+    // Send initial connection confirmation (not buffered, so it carries no id)
+    res.write(`data: ${JSON.stringify({ type: 'connected' })}\n\n`);
+
+    if (!owned || !events.has(sessionId)) {
+      // Unknown or long-finished session (e.g. the server restarted), or another browser's
+      // session, which is answered the same way – tell the page to start over
+      log.info('SSE connection for unknown session', { sessionId });
+      res.write(formatEvent({
+        data: {
+          type: 'error',
+          html: `
+        <div class="error" style="color: #dc3545; font-size: 24px; margin-bottom: 20px;">❌ Setup session not found</div>
+        <p>This setup session has expired or is no longer available. Please start again.</p>
+        <a href="/" class="retry" style="display: inline-block; padding: 12px 24px; background-color: #007bff; color: white; text-decoration: none; border-radius: 5px; font-size: 18px; transition: background-color 0.3s; margin: 10px;">Try Again</a>
+      `
+        }
+      }));
+      return res.end();
+    }
+
     // Send a heartbeat to keep the connection alive
     const heartbeatInterval = setInterval(() => {
       res.write(': heartbeat\n\n');
     }, 30000); // Send every 30 seconds
 
-    // Store the response object for this session
-    sseConnections.set(sessionId, res);
-    
-    // Send initial connection confirmation
-    res.write(`data: ${JSON.stringify({ type: 'connected' })}\n\n`);
-
-    // If there's a pending setup for this session, start it now
-    const setupPromise = pendingSetups.get(sessionId);
-    if (setupPromise) {
-      console.log(`Starting background setup for session: ${sessionId}`);
-      setupPromise(); // Execute the setup function
-      pendingSetups.delete(sessionId);
-    }
+    // Replay missed events and subscribe to new ones
+    events.attach(sessionId, res, lastEventId);
 
-    req.on('close', () => {
-      console.log(`SSE connection closed for session: ${sessionId}`);
+    res.on('close', () => {
+      log.info('SSE connection closed', { sessionId });
       clearInterval(heartbeatInterval);
-      sseConnections.delete(sessionId);
-      pendingSetups.delete(sessionId); // Clean up any pending setups
+      events.detach(sessionId, res);
     });
   });
 
+  // Current setup state for clients that can't use SSE (buffering proxies, no EventSource).
+  // Falls back to the stored session once the event buffer is gone (e.g. after a restart).
+  async function getSetupStatus(sessionId) {
+    const snapshot = events.snapshot(sessionId);
+    if (snapshot) {
+      return {
+        done: snapshot.done,
+        progress: snapshot.progress,
+        result: snapshot.result,
+        documents: snapshot.documents,
+        running: setupJobs.isRunning(sessionId),
+        queuePosition: setupJobs.getPosition(sessionId)
+      };
+    }
+
+    const session = await workspace.getSession(sessionId);
+    if (!session) return null;
+    const { READY, FAILED } = workspace.SESSION_STATES;
+    return {
+      done: session.status === READY || session.status === FAILED,
+      progress: null,
+      result: null,
+      documents: session.documentReport || null,
+      status: session.status,
+      error: session.status === FAILED ? { step: session.errorStep, message: session.error } : null,
+      running: setupJobs.isRunning(sessionId)
+    };
+  }
+
+  // JSON polling endpoint mirroring the SSE stream
+  app.get('/status/:sessionId', async (req, res) => {
+    const { sessionId } = req.params;
+    try {
+      const status = ownsSession(req, sessionId) ? await getSetupStatus(sessionId) : null;
+      if (!status) {
+        return res.status(404).json({ error: { code: 'session_not_found', message: 'Setup session not found' } });
+      }
+      res.set('Cache-Control', 'no-store').json({ sessionId, ...status });
+    } catch (error) {
+      log.error('Failed to read setup status', { sessionId, err: error });
+      res.status(500).json({ error: { code: 'internal_error', message: 'Could not read setup status' } });
+    }
+  });
+
+  // No-JavaScript progress page: refreshes itself until the setup finishes
+  app.get('/setup/:sessionId', async (req, res) => {
+    const { sessionId } = req.params;
+    res.set('Cache-Control', 'no-store');
+    try {
+      const status = ownsSession(req, sessionId) ? await getSetupStatus(sessionId) : null;
+      if (!status) {
+        return res.status(404).send(renderErrorPage({
+          errorStep: 'Loading setup session',
+          errorMessage: 'This setup session has expired or is no longer available.'
+        }));
+      }
+      if (status.result) {
+        return res.send(renderSetupResultPage(status.result));
+      }
+      if (status.done) {
+        // Event buffer expired – a finished, ready session is resumed from the cookie at /
+        return status.status === workspace.SESSION_STATES.READY
+          ? res.redirect(303, '/')
+          : res.send(renderErrorPage({
+            errorStep: status.error?.step || 'Provisioning workspace',
+            errorMessage: status.error?.message || 'Setup failed',
+            sessionId
+          }));
+      }
+      const { percent = 0, text = 'Starting setup...' } = status.progress || {};
+      res.send(renderSetupProgressPage({ sessionId, percent, text }));
+    } catch (error) {
+      log.error('Failed to render setup page', { sessionId, err: error });
+      res.status(500).send(renderErrorPage({ errorStep: 'Loading setup session', errorMessage: error.message }));
+    }
+  });
+
   // Helper function to send progress updates via SSE for a specific session
   function sendProgressToSession(sessionId, percent, text) {
-    const res = sseConnections.get(sessionId);
-    if (res) {
-      res.write(`data: ${JSON.stringify({ type: 'progress', percent, text })}\n\n`);
-    } else {
-      console.log(`No active SSE connection found for session: ${sessionId}. Cannot send progress.`);
-    }
+    events.publish(sessionId, { type: 'progress', percent, text });
+  }
+
+  // Documents that were skipped or failed to upload during the setup
+  function sendDocumentReportToSession(sessionId, { skipped, failed }) {
+    events.publish(sessionId, { type: 'documents', skipped, failed });
+  }
+
+  // Place in the provisioning queue, sent as progress so every client shows it
+  function sendQueuePositionToSession(sessionId, position) {
+    const text = position === 1
+      ? 'Waiting for a free slot – you are next in line...'
+      : `Waiting for a free slot – ${position - 1} visitor${position === 2 ? '' : 's'} ahead of you...`;
+    events.publish(sessionId, { type: 'progress', percent: 0, text, queuePosition: position });
   }
 
   // Helper function to send final content via SSE for a specific session
   function sendFinalToSession(sessionId, type, html) {
-    const res = sseConnections.get(sessionId);
-    if (res) {
-      res.write(`data: ${JSON.stringify({ type, html })}\n\n`);
-      res.end(); 
-      sseConnections.delete(sessionId); 
-      console.log(`Final message sent and SSE connection ended for session: ${sessionId}`);
-    } else {
-      console.log(`No active SSE connection found for session: ${sessionId}. Cannot send final content.`);
+    events.publish(sessionId, { type, html });
+  }
+
+  // Pick the persona for `/` and `/p/:profile` – by route, then Host header, then the default
+  function selectProfile(req, res, next) {
+    const profile = profiles.resolveProfile({ name: req.params.profile, host: req.hostname });
+    if (!profile) {
+      return res.status(404).send(renderErrorPage({
+        errorStep: 'Selecting assistant',
+        errorMessage: 'There is no assistant at this address.'
+      }));
+    }
+    res.locals.profile = profile;
+    // Links back to "start over" keep the visitor on the same profile
+    res.locals.startPath = req.params.profile ? `/p/${profile.name}` : '/';
+    next();
+  }
+
+  function setSessionCookie(req, res, sessionId, maxAge) {
+    res.cookie(sessionCookieName(res.locals.profile), sessionId, {
+      signed: true,
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: req.secure,
+      maxAge
+    });
+  }
+
+  // Returning visitors with a live session skip provisioning and just get a fresh token
+  async function resumeExistingSession(req, res, next) {
+    const { profile, startPath } = res.locals;
+    const cookieName = sessionCookieName(profile);
+    const sessionId = req.signedCookies[cookieName];
+    if (!sessionId) return next();
+
+    try {
+      const session = await workspace.getSession(sessionId);
+      const sameProfile = session && (session.profile || profiles.DEFAULT_PROFILE) === profile.name;
+      if (sameProfile && provisioner.IN_PROGRESS_STATES.includes(session.status)) {
+        // Refreshed while the workspace is still being set up – follow that setup instead of starting another
+        log.info('Returning visitor re-attached to setup in progress', { sessionId, status: session.status });
+        return res.redirect(303, `/setup/${sessionId}`);
+      }
+      if (!sameProfile || session.status !== workspace.SESSION_STATES.READY || workspace.isSessionExpired(session)) {
+        log.info('Session cookie no longer matches a live session, starting fresh', { sessionId });
+        res.clearCookie(cookieName);
+        return next();
+      }
+
+      const { userId, workspaceSlug } = session;
+      const expiresAt = workspace.getSessionExpiry(session);
+      const { loginPath } = await withContext({ sessionId }, () => workspace.getSSOToken(userId));
+      log.info('Returning visitor resumed session', { sessionId });
+      // Keep the cookie alive for as long as the (possibly extended) session
+      setSessionCookie(req, res, sessionId, new Date(expiresAt).getTime() - Date.now());
+      res.send(renderWelcomeBackPage({
+        redirectUrl: workspace.buildSsoRedirectUrl(loginPath, workspaceSlug),
+        sessionId,
+        workspaceSlug,
+        userId,
+        expiresAt,
+        startPath
+      }));
+    } catch (error) {
+      // The user or workspace may be gone on the AnythingLLM side – provision a new one
+      log.error('Failed to resume session', { sessionId, err: error });
+      res.clearCookie(cookieName);
+      next();
     }
   }
 
-  // Root route – creates a session and redirects to the workspace
-  app.get('/', async (req, res) => {
+  // "Start fresh" – tear down the browser's current session and provision a new one
+  app.post(['/start-fresh', '/p/:profile/start-fresh'], selectProfile, async (req, res) => {
+    const cookieName = sessionCookieName(res.locals.profile);
+    const sessionId = req.signedCookies[cookieName];
+    if (sessionId) {
+      try {
+        const session = await workspace.getSession(sessionId);
+        if (session && provisioner.IN_PROGRESS_STATES.includes(session.status)) {
+          // Its setup job is still creating resources; tearing it down now would orphan them
+          log.info('Start fresh refused, setup still in progress', { sessionId, status: session.status });
+          return res.redirect(303, `/setup/${sessionId}`);
+        }
+        if (session) {
+          await withContext({ sessionId }, () => workspace.destroySession(sessionId, session));
+          log.info('Visitor started fresh, removed session', { sessionId });
+        }
+      } catch (error) {
+        // Leave it for the expiry sweeper
+        log.error('Failed to remove session on start fresh', { sessionId, err: error });
+      }
+    }
+    res.clearCookie(cookieName);
+    res.redirect(303, res.locals.startPath);
+  });
+
+  // Root route – creates a session and redirects to the workspace.
+  // `/p/:profile` does the same for a named persona profile.
+  app.get(['/', '/p/:profile'], selectProfile, resumeExistingSession, sessionLimiter.middleware, async (req, res) => {
+    const { profile, startPath } = res.locals;
     // Generate a unique session ID for this request
     const sessionId = `session-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
 
+    // Record the session before it is queued, so waiting visitors count toward
+    // MAX_LIVE_SESSIONS and the session can be recovered after a crash
+    try {
+      await provisioner.startSession(sessionId, profile);
+    } catch (error) {
+      log.error('Failed to record session', { sessionId, err: error });
+      return res.status(500).send(renderErrorPage({ errorStep: 'Recording session', errorMessage: error.message, startPath }));
+    }
+
+    // Remember this browser's session so a return visit can reuse it
+    setSessionCookie(req, res, sessionId, config.SESSION_TTL_HOURS * 60 * 60 * 1000);
+
     // Initial HTML page with SSE listener and loading bar
     const initialHtml = `
 <!DOCTYPE html>
@@ -156,210 +421,235 @@ function registerRoutes(app, config, workspace, { renderSuccessPage, renderError
                 <div class="progress-bar" id="progressBar"></div>
             </div>
             <div class="status-text" id="statusText">Establishing connection...</div>
+            <div class="status-text" id="documentNotice" style="display: none; color: #856404;"></div>
         </div>
         <div id="finalContent" class="final-content"></div>
+        <noscript>
+            <meta http-equiv="refresh" content="3;url=/setup/${sessionId}">
+            <p><a href="/setup/${sessionId}">Follow the setup progress</a></p>
+        </noscript>
     </div>
     <script>
-        // Connect to the SSE endpoint for this specific session
-        const eventSource = new EventSource('/events/${sessionId}');
-        
-        eventSource.onmessage = function(event) {
-            const data = JSON.parse(event.data);
-            
-            if (data.type === 'connected') {
-                console.log('SSE connection established');
-                document.getElementById('statusText').textContent = 'Connection established, starting setup...';
-            } else if (data.type === 'progress') {
-                document.getElementById('progressBar').style.width = data.percent + '%';
-                document.getElementById('statusText').textContent = data.text;
-            } else if (data.type === 'success') {
-                console.log('Received success message via SSE');
-                document.getElementById('loadingSection').style.display = 'none';
-                document.getElementById('finalContent').innerHTML = data.html;
-                document.getElementById('finalContent').style.display = 'block';
-                eventSource.close();
-            } else if (data.type === 'error') {
-                console.log('Received error message via SSE');
-                document.getElementById('loadingSection').style.display = 'none';
-                document.getElementById('finalContent').innerHTML = data.html;
-                document.getElementById('finalContent').style.display = 'block';
-                eventSource.close();
-            }
-        };
-        
-        eventSource.onerror = function(event) {
-            console.error('SSE connection error:', event);
-            document.getElementById('statusText').textContent = 'Connection lost. Please refresh the page.';
-        };
+        let lastProgressText = null;
+        let finished = false;
+        let eventSource = null;
+        let polling = false;
+        let pollTimer = null;
+
+        function showProgress(percent, text) {
+            lastProgressText = text;
+            document.getElementById('progressBar').style.width = percent + '%';
+            document.getElementById('statusText').textContent = text;
+        }
+
+        // Documents left out of the workspace, e.g. "Skipped image.png (.png files are not allowed)"
+        function showDocuments(report) {
+            const lines = report.skipped.map(function(doc) { return 'Skipped ' + doc.file + ' (' + doc.reason + ')'; })
+                .concat(report.failed.map(function(doc) { return 'Could not upload ' + doc.file + ' (' + doc.error + ')'; }));
+            if (lines.length === 0) return;
+            const notice = document.getElementById('documentNotice');
+            notice.textContent = lines.join('; ');
+            notice.style.display = 'block';
+        }
+
+        function showFinal(html) {
+            finished = true;
+            document.getElementById('loadingSection').style.display = 'none';
+            document.getElementById('finalContent').innerHTML = html;
+            document.getElementById('finalContent').style.display = 'block';
+            if (eventSource) eventSource.close();
+            clearTimeout(pollTimer);
+        }
+
+        // Polling fallback for browsers without EventSource or behind buffering proxies
+        function poll() {
+            if (finished) return;
+            fetch('/status/${sessionId}', { cache: 'no-store' })
+                .then(function(response) {
+                    if (response.status === 404) {
+                        window.location.href = '/setup/${sessionId}';
+                        return null;
+                    }
+                    return response.json();
+                })
+                .then(function(status) {
+                    if (!status) return;
+                    if (status.progress) showProgress(status.progress.percent, status.progress.text);
+                    if (status.documents) showDocuments(status.documents);
+                    if (status.result) return showFinal(status.result.html);
+                    if (status.done) return (window.location.href = '/setup/${sessionId}');
+                    pollTimer = setTimeout(poll, 2000);
+                })
+                .catch(function(error) {
+                    console.error('Status poll failed:', error);
+                    pollTimer = setTimeout(poll, 5000);
+                });
+        }
+
+        function startPolling() {
+            if (finished || polling) return;
+            polling = true;
+            console.log('Falling back to polling for setup progress');
+            if (eventSource) eventSource.close();
+            poll();
+        }
+
+        if (!window.EventSource) {
+            startPolling();
+        } else {
+            // Connect to the SSE endpoint for this specific session
+            eventSource = new EventSource('/events/${sessionId}');
+            // A proxy that buffers the stream delivers nothing at all – poll instead
+            let received = false;
+            setTimeout(function() {
+                if (!received) startPolling();
+            }, 10000);
+
+            eventSource.onmessage = function(event) {
+                received = true;
+                const data = JSON.parse(event.data);
+
+                if (data.type === 'connected') {
+                    console.log('SSE connection established');
+                    document.getElementById('statusText').textContent =
+                        lastProgressText || 'Connection established, starting setup...';
+                } else if (data.type === 'progress') {
+                    showProgress(data.percent, data.text);
+                } else if (data.type === 'documents') {
+                    showDocuments(data);
+                } else if (data.type === 'success') {
+                    console.log('Received success message via SSE');
+                    showFinal(data.html);
+                } else if (data.type === 'error') {
+                    console.log('Received error message via SSE');
+                    showFinal(data.html);
+                }
+            };
+
+            eventSource.onerror = function(event) {
+                // EventSource reconnects by itself and the server replays missed events
+                console.error('SSE connection error:', event);
+                if (!finished && !polling) {
+                    document.getElementById('statusText').textContent = 'Connection lost, reconnecting...';
+                }
+            };
+        }
     </script>
 </body>
 </html>
   `;
 
+    // Open the progress channel before the page can connect to it
+    events.open(sessionId);
+
     // Send the initial HTML page to the user
     res.send(initialHtml);
 
-    // --- Background Process Setup (waits for SSE connection) ---
-    const setupFunction = async () => {
+    // --- Background Process Setup (runs regardless of SSE connection) ---
+    const setupFunction = async ({ signal }) => {
       let userId = null;
       let workspaceSlug = null;
       let errorStep = 'Unknown';
       let errorMessage = 'Unknown error occurred';
-      let userAddResult = null;
+      let rolledBack = true;
 
       try {
-        const username = `test_${Date.now()}`;
-        console.log(`Starting session setup for: ${sessionId}`);
-
-        // Step 1 – create user
-        sendProgressToSession(sessionId, 10, 'Creating user...');
-        errorStep = 'Creating user';
-        userId = await workspace.createUser(username);
-        console.log(`User created: ${userId}`);
-
-        // Step 2 – create workspace
-        sendProgressToSession(sessionId, 25, 'Creating workspace...');
-        errorStep = 'Creating workspace';
-        workspaceSlug = await workspace.createWorkspace(`${config.WORKSPACE_NAME} - ${sessionId}`);
-        console.log(`Workspace created: ${workspaceSlug}`);
-
-        // Step 3 – add documents (optional)
-        sendProgressToSession(sessionId, 40, 'Adding documents to workspace...');
-        errorStep = 'Adding documents to workspace';
-        await workspace.addDocumentsToWorkspace(workspaceSlug);
-        console.log(`Documents processed for workspace: ${workspaceSlug}`);
-
-        // Step 4 – add user to workspace
-        sendProgressToSession(sessionId, 60, 'Adding user to workspace...');
-        errorStep = 'Adding user to workspace';
-        userAddResult = await workspace.addUserToWorkspace(userId, workspaceSlug);
-        console.log(`User added to workspace: ${workspaceSlug}`);
-
-        // Step 5 – wait for workspace to settle
-        sendProgressToSession(sessionId, 75, 'Waiting for workspace to settle...');
-        console.log('Waiting for workspace to settle...');
-        await workspace.sleep(2000);
-        await workspace.sleep(2000);
+        // Try to claim a pre-provisioned pair from the warm pool first
+        errorStep = 'Claiming prepared workspace';
+        const prepared = pool ? await pool.claimPrepared(profile.name) : null;
+
+        // Create user and workspace, add documents and user, wait for the embeddings
+        errorStep = 'Provisioning workspace';
+        const session = await provisioner.provisionSession(sessionId, {
+          prepared,
+          signal,
+          onProgress: (percent, text) => sendProgressToSession(sessionId, percent, text),
+          onDocumentReport: (report) => sendDocumentReportToSession(sessionId, report)
+        });
+        ({ userId, workspaceSlug } = session);
 
         // Step 6 – obtain SSO token
         sendProgressToSession(sessionId, 90, 'Getting SSO token...');
         errorStep = 'Getting SSO token';
-        const { token, loginPath } = await workspace.getSSOToken(userId);
-        console.log(`SSO token obtained for user: ${userId}`);
+        const { token, loginPath } = await withSignal(signal, () =>
+          metrics.timeStep(errorStep, () => workspace.getSSOToken(userId))
+        );
 
-        // Track the active session (both in-memory and persistent storage)
+        // Track the active session in memory (it is already in persistent storage)
         workspace.activeSessions.set(sessionId, { userId, workspaceSlug });
-        await workspace.addSession(sessionId, userId, workspaceSlug);
 
-        const destinationWorkspace = `/workspace/${workspaceSlug}`;
-        const ssoUrl = new URL(`${config.LLM_API_URL}${loginPath}`);
-        ssoUrl.searchParams.append('redirect', destinationWorkspace);
-        const redirectUrl = ssoUrl.toString();
+        const redirectUrl = workspace.buildSsoRedirectUrl(loginPath, workspaceSlug);
 
         // Prepare final success HTML content
-        const successHtml = `
-        <div class="status" style="color: #28a745; font-size: 24px; margin-bottom: 20px;">✅ Workspace loaded successfully!</div>
-        <a href="${redirectUrl}" class="link" style="display: inline-block; padding: 12px 24px; background-color: #007bff; color: white; text-decoration: none; border-radius: 5px; font-size: 18px; transition: background-color 0.3s;">Click here to access your workspace</a>
-        <div class="info" style="margin-top: 20px; color: #666; font-size: 14px; line-height: 1.5;">
-            <strong>Session Details:</strong><br>
-            Session ID: ${sessionId}<br>
-            Workspace: ${workspaceSlug}<br>
-            User ID: ${userId}<br>
-            <br>
-            This session will be automatically cleaned up at midnight.
-        </div>
-        <div class="steps" style="text-align: left; margin: 20px 0; padding: 15px; background: #f8f9fa; border-radius: 5px; font-size: 12px; color: #495057;">
-            <strong>Setup Steps Completed:</strong><br>
-            <div class="step success" style="margin: 5px 0; color: #28a745;">✓ User created successfully</div>
-            <div class="step success" style="margin: 5px 0; color: #28a745;">✓ Workspace created successfully</div>
-            <div class="step ${config.SKIP_DOCUMENTS ? 'skipped' : 'success'}" style="margin: 5px 0; color: ${config.SKIP_DOCUMENTS ? '#ffc107' : '#28a745'};">${config.SKIP_DOCUMENTS ? '⚠ Documents skipped' : '✓ Documents added to workspace'}</div>
-            <div class="step ${userAddResult?.skipped ? 'skipped' : 'success'}" style="margin: 5px 0; color: ${userAddResult?.skipped ? '#ffc107' : '#28a745'};">${userAddResult?.skipped ? '⚠ User addition skipped' : '✓ User added to workspace'}</div>
-            <div class="step success" style="margin: 5px 0; color: #28a745;">✓ Waited for workspace to settle</div>
-            <div class="step success" style="margin: 5px 0; color: #28a745;">✓ SSO token generated</div>
-        </div>
-        ${userAddResult?.skipped ? `
-        <div class="warning" style="margin-top: 20px; padding: 15px; background: #f8d7da; border-radius: 5px; font-size: 14px; color: #721c24; border-left: 4px solid #dc3545;">
-            <strong>Warning:</strong> ${userAddResult.reason || 'User was not added to the workspace'}.
-            The workspace is still accessible but may have limited functionality.
-        </div>
-        ` : ''}
-        ${config.SKIP_DOCUMENTS ? `
-        <div class="notice" style="margin-top: 20px; padding: 15px; background: #fff3cd; border-radius: 5px; font-size: 14px; color: #856404; border-left: 4px solid #ffc107;">
-            <strong>Notice:</strong> Document addition is currently disabled. The workspace is ready to use but won't have access to the portfolio documents.
-        </div>
-        ` : ''}
-      `;
+        const successHtml = templates.renderSuccessContent({
+          ...session,
+          redirectUrl,
+          sessionId,
+          SKIP_DOCUMENTS: config.SKIP_DOCUMENTS
+        });
 
         sendFinalToSession(sessionId, 'success', successHtml);
-        console.log(`Backend process for session ${sessionId} completed successfully.`);
+        log.info('Session setup completed', { sessionId, workspaceSlug, userId });
       } catch (error) {
         errorMessage = error.message;
-        console.error(`Error at step "${errorStep}":`, errorMessage);
-        if (error.response) {
-          console.error('Error response:', error.response.data);
-          console.error('Error response status:', error.response.status);
-        }
-
-        // Cleanup any partially created resources
-        if (workspaceSlug) {
-          try {
-            await workspace.deleteWorkspace(workspaceSlug);
-            console.log('Cleaned up workspace due to error');
-          } catch (e) {
-            console.error('Failed to cleanup workspace:', e.message);
-          }
-        }
-        if (userId) {
-          try {
-            await workspace.deleteUser(userId);
-            console.log('Cleaned up user due to error');
-          } catch (e) {
-            console.error('Failed to cleanup user:', e.message);
-          }
-        }
-        
-        // Remove from persistent storage if it was added
-        if (sessionId) {
-          try {
-            await workspace.removeSession(sessionId);
-            console.log('Removed session from persistent storage due to error');
-          } catch (e) {
-            console.error('Failed to remove session from storage:', e.message);
+        if (error.step) {
+          // Failed inside the provisioning state machine, which has already rolled back
+          errorStep = error.step;
+          userId = error.userId;
+          workspaceSlug = error.workspaceSlug;
+          rolledBack = error.rolledBack;
+        } else {
+          log.error('Session setup failed', { sessionId, step: errorStep, err: error });
+          metrics.sessionsFailed.inc({ profile: profile.name, step: errorStep });
+          // The workspace is ready but the token couldn't be issued – tear it down
+          const session = await workspace.getSession(sessionId).catch(() => null);
+          if (session) {
+            const result = await provisioner.rollbackSession(sessionId, session);
+            rolledBack = result.workspaceDeleted && result.userDeleted;
           }
         }
 
-        // Prepare final error HTML content
+        // Prepare final error HTML content; the error text may come from AnythingLLM, so it is escaped
         const errorHtml = `
         <div class="error" style="color: #dc3545; font-size: 24px; margin-bottom: 20px;">❌ Failed to set up session</div>
         <p>Something went wrong while creating your workspace. Please try again.</p>
-        <a href="/" class="retry" style="display: inline-block; padding: 12px 24px; background-color: #007bff; color: white; text-decoration: none; border-radius: 5px; font-size: 18px; transition: background-color 0.3s; margin: 10px;">Try Again</a>
+        <a href="${startPath}" class="retry" style="display: inline-block; padding: 12px 24px; background-color: #007bff; color: white; text-decoration: none; border-radius: 5px; font-size: 18px; transition: background-color 0.3s; margin: 10px;">Try Again</a>
         <div class="details" style="margin-top: 20px; padding: 15px; background: #f8f9fa; border-radius: 5px; font-size: 12px; color: #495057; text-align: left;">
             <strong>Error Details:</strong><br>
-            Failed at: ${errorStep}<br>
-            Error: ${errorMessage}<br>
+            Failed at: ${templates.escapeHtml(errorStep)}<br>
+            Error: ${templates.escapeHtml(errorMessage)}<br>
             ${sessionId ? `Session ID: ${sessionId}<br>` : ''}
-            ${userId ? `User ID: ${userId}<br>` : ''}
-            ${workspaceSlug ? `Workspace: ${workspaceSlug}<br>` : ''}
+            ${userId ? `User ID: ${templates.escapeHtml(userId)}<br>` : ''}
+            ${workspaceSlug ? `Workspace: ${templates.escapeHtml(workspaceSlug)}<br>` : ''}
             <br>
-            Any partially created resources have been cleaned up.
+            ${rolledBack
+              ? 'Any partially created resources have been cleaned up.'
+              : 'Some resources could not be cleaned up yet and will be removed automatically.'}
         </div>
       `;
 
         sendFinalToSession(sessionId, 'error', errorHtml);
-        console.log(`Backend process for session ${sessionId} failed.`);
+        log.info('Session setup ended with an error', { sessionId, step: errorStep, rolledBack });
       }
     };
 
-    // Store the setup function to be executed when SSE connects
-    pendingSetups.set(sessionId, setupFunction);
-    console.log(`Setup function registered for session: ${sessionId}, waiting for SSE connection...`);
+    // Queue provisioning (it starts right away if a slot is free); clients follow
+    // along via SSE, polling or meta refresh
+    setupJobs.run(sessionId, (job) => withContext({ sessionId, profile: profile.name }, () => setupFunction(job)), {
+      onQueued: (position) => sendQueuePositionToSession(sessionId, position)
+    });
   });
 
-  // Manual cleanup endpoint – useful for testing
-  app.post('/cleanup', async (req, res) => {
-    console.log('Manual cleanup triggered');
+  // JSON/REST provisioning API (see src/api.js and src/openapi.json)
+  registerApiRoutes(app, config, workspace, { provisioner, pool, sessionLimiter, setupJobs });
+
+  // Manual cleanup endpoint – useful for testing.
+  // Pass ?expiredOnly=true to run the TTL sweeper instead of deleting everything.
+  app.post('/cleanup', adminOnly, async (req, res) => {
+    const expiredOnly = req.query.expiredOnly === 'true';
+    log.info('Manual cleanup triggered', { expiredOnly });
     try {
-      const results = await workspace.cleanupSessions();
+      const results = await workspace.cleanupSessions({ expiredOnly });
       res.json({
         status: 'ok',
         message: 'Cleanup completed',
@@ -374,30 +664,189 @@ function registerRoutes(app, config, workspace, { renderSuccessPage, renderError
     }
   });
 
-  // Health‑check endpoint
-  app.get('/health', async (req, res) => {
-    const sessions = [];
-    for (const [sessionId, { userId, workspaceSlug }] of workspace.activeSessions) {
-      sessions.push({ sessionId, userId, workspaceSlug });
-    }
-    
-    // Also get persistent sessions
-    const persistentSessions = await workspace.getAllSessions();
-    
-    res.json({
-      status: 'ok',
-      activeSessions: sessions,
-      activeSessionsCount: workspace.activeSessions.size,
-      persistentSessions: Object.keys(persistentSessions).map(sessionId => ({
+  // Extend a live session's expiry by SESSION_EXTEND_HOURS
+  app.post('/sessions/:sessionId/extend', adminOnly, async (req, res) => {
+    const { sessionId } = req.params;
+    try {
+      const session = await workspace.extendSession(sessionId);
+      if (!session) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Session not found or already expired',
+          sessionId
+        });
+      }
+      res.json({
+        status: 'ok',
+        message: 'Session extended',
         sessionId,
-        ...persistentSessions[sessionId]
-      })),
-      persistentSessionsCount: Object.keys(persistentSessions).length,
-      cleanupEnabled: config.CLEANUP_ENABLED,
-      skipDocuments: config.SKIP_DOCUMENTS,
-      skipUserAddition: config.SKIP_USER_ADDITION
-    });
+        expiresAt: session.expiresAt
+      });
+    } catch (error) {
+      res.status(500).json({
+        status: 'error',
+        message: 'Failed to extend session',
+        error: error.message
+      });
+    }
+  });
+
+  // Orphan reconciliation report – dry run, nothing is deleted
+  app.get('/reconcile', adminOnly, async (req, res) => {
+    if (!reconciler) {
+      return res.status(404).json({ status: 'error', message: 'Reconciliation is not available' });
+    }
+    try {
+      const report = await reconciler.reconcile({ dryRun: true });
+      res.json({ status: 'ok', report });
+    } catch (error) {
+      res.status(502).json({
+        status: 'error',
+        message: 'Reconciliation failed',
+        error: error.message
+      });
+    }
+  });
+
+  // Delete orphaned users and workspaces. Pass ?dryRun=true to only report.
+  app.post('/reconcile', adminOnly, async (req, res) => {
+    if (!reconciler) {
+      return res.status(404).json({ status: 'error', message: 'Reconciliation is not available' });
+    }
+    const dryRun = req.query.dryRun === 'true';
+    log.info('Manual reconciliation triggered', { dryRun });
+    try {
+      const report = await reconciler.reconcile({ dryRun });
+      res.json({ status: 'ok', message: 'Reconciliation completed', report });
+    } catch (error) {
+      res.status(502).json({
+        status: 'error',
+        message: 'Reconciliation failed',
+        error: error.message
+      });
+    }
+  });
+
+  // Re-read the config file, prompts and profiles now instead of waiting for the file watcher
+  app.post('/reload', adminOnly, (req, res) => {
+    if (!hotReload) {
+      return res.status(404).json({ status: 'error', message: 'Hot reload is not available' });
+    }
+    const result = hotReload.reloadSettings();
+    if (!result.ok) {
+      return res.status(422).json({
+        status: 'error',
+        message: 'Settings are invalid; the current settings are still in effect',
+        problems: result.problems
+      });
+    }
+    res.json({ status: 'ok', message: 'Settings reloaded', ...result });
+  });
+
+  // Push the current prompt, settings and documents to every live workspace.
+  // Pass ?embeddings=false to only update the settings.
+  app.post('/push-settings', adminOnly, async (req, res) => {
+    if (!hotReload) {
+      return res.status(404).json({ status: 'error', message: 'Hot reload is not available' });
+    }
+    const embeddings = req.query.embeddings !== 'false';
+    log.info('Settings push triggered', { embeddings });
+    try {
+      const report = await hotReload.pushSettings({ embeddings });
+      res.json({ status: 'ok', message: 'Settings pushed', report });
+    } catch (error) {
+      res.status(error.code === 'PUSH_CONFLICT' ? 409 : 500).json({
+        status: 'error',
+        message: 'Settings push failed',
+        error: error.message
+      });
+    }
+  });
+
+  // Prometheus scrape endpoint (see src/metrics.js)
+  app.get('/metrics', adminOnly, async (req, res) => {
+    try {
+      res.type(metrics.CONTENT_TYPE).send(await metrics.render());
+    } catch (error) {
+      log.error('Failed to render metrics', { err: error });
+      res.status(500).type('text/plain').send('Failed to render metrics\n');
+    }
+  });
+
+  // Liveness – the process is up and serving requests. Deliberately checks nothing
+  // else, so an AnythingLLM outage never gets this service restarted.
+  app.get('/health/live', (req, res) => {
+    res.set('Cache-Control', 'no-store').json({ status: 'ok', uptimeSeconds: Math.round(process.uptime()) });
+  });
+
+  // Readiness – whether new visitors can be served: 503 while a critical dependency
+  // (AnythingLLM reachable with a valid API key, multi-user mode) is failing
+  app.get('/health/ready', async (req, res) => {
+    if (!readiness) {
+      return res.json({ status: 'ready', dependencies: {} });
+    }
+    try {
+      const result = await readiness.checkReadiness();
+      res.status(result.status === 'not_ready' ? 503 : 200).set('Cache-Control', 'no-store').json(result);
+    } catch (error) {
+      log.error('Readiness check failed', { err: error });
+      res.status(503).json({ status: 'not_ready', error: 'Readiness check failed' });
+    }
+  });
+
+  // Health‑check endpoint – local state plus a fresh readiness probe
+  app.get('/health', adminOnly, async (req, res) => {
+    try {
+      const sessions = [];
+      for (const [sessionId, { userId, workspaceSlug }] of workspace.activeSessions) {
+        sessions.push({ sessionId, userId, workspaceSlug });
+      }
+
+      // Also get persistent sessions
+      const persistentSessions = await workspace.getAllSessions();
+      const dependencies = readiness ? await readiness.checkReadiness({ force: true }) : null;
+
+      res.json({
+        status: dependencies ? dependencies.status : 'ok',
+        dependencies: dependencies ? dependencies.dependencies : {},
+        activeSessions: sessions,
+        activeSessionsCount: workspace.activeSessions.size,
+        persistentSessions: Object.keys(persistentSessions).map(sessionId => ({
+          sessionId,
+          ...persistentSessions[sessionId],
+          expiresAt: workspace.getSessionExpiry(persistentSessions[sessionId]),
+          expired: workspace.isSessionExpired(persistentSessions[sessionId])
+        })),
+        persistentSessionsCount: Object.keys(persistentSessions).length,
+        cleanupEnabled: config.CLEANUP_ENABLED,
+        sessionTtlHours: config.SESSION_TTL_HOURS,
+        skipDocuments: config.SKIP_DOCUMENTS,
+        skipUserAddition: config.SKIP_USER_ADDITION,
+        pool: pool ? pool.getPoolStatus() : { enabled: false },
+        profiles: profiles.listProfiles().map(({ name, hosts, workspaceName, folderName }) => ({
+          name,
+          hosts,
+          workspaceName,
+          folderName
+        })),
+        documents: workspace.getDocumentSyncStatus(),
+        rateLimit: await sessionLimiter.getStatus(),
+        lastReconciliation: reconciler ? reconciler.getLastReport() : null,
+        progressStreams: events.getStatus(),
+        setupJobs: setupJobs.getStatus(),
+        hotReload: hotReload ? hotReload.getStatus() : { enabled: false }
+      });
+    } catch (error) {
+      log.error('Health check failed', { err: error });
+      res.status(500).json({
+        status: 'error',
+        message: 'Health check failed',
+        error: error.message
+      });
+    }
   });
+
+  return { setupJobs };
 }
 
 module.exports = { registerRoutes };
\ No newline at end of file
@@ -0,0 +1,13 @@
+// src/stores/filter.js
+// Shared list() filter semantics for session stores
+
+function matchesFilter(session, filter = {}) {
+  if (filter.status && session.status !== filter.status) return false;
+  if (filter.createdBefore && !(session.createdAt < filter.createdBefore)) return false;
+  if (filter.createdAfter && !(session.createdAt > filter.createdAfter)) return false;
+  if (filter.expiresBefore && !(session.expiresAt <= filter.expiresBefore)) return false;
+  if (filter.expiresAfter && !(session.expiresAt > filter.expiresAfter)) return false;
+  return true;
+}
+
+module.exports = { matchesFilter };
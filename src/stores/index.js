@@ -0,0 +1,41 @@
+// src/stores/index.js
+// Pluggable session store. Every backend implements the same async interface:
+//
+//   get(sessionId)              -> session | null
+//   getAll()                    -> { [sessionId]: session }
+//   list(filter)                -> [{ sessionId, ...session }]
+//        filter: { status, createdBefore, createdAfter, expiresBefore, expiresAfter }
+//   add(sessionId, session)     -> session
+//   update(sessionId, changes)  -> updated session | null
+//   remove(sessionId)           -> boolean (whether it existed)
+//   close()
+//
+// A session is { userId, workspaceSlug, createdAt, expiresAt, status, ... }.
+// Timestamps are ISO strings; extra fields are preserved as-is.
+
+const path = require('path');
+
+const DATA_DIR = path.join(__dirname, '..', '..', 'data');
+const JSON_FILE = path.join(DATA_DIR, 'sessions.json');
+
+/**
+ * Create the session store selected by config.SESSION_STORE ('json' or 'sqlite').
+ * @param {object} config - configuration object from src/config.js
+ */
+async function createSessionStore(config) {
+  const type = config.SESSION_STORE;
+  if (type === 'sqlite') {
+    const { createSqliteStore } = require('./sqlite');
+    return createSqliteStore({
+      file: config.SESSION_DB_FILE || path.join(DATA_DIR, 'sessions.db'),
+      migrateFrom: JSON_FILE,
+    });
+  }
+  if (type !== 'json') {
+    throw new Error(`Unknown SESSION_STORE "${type}" (expected "json" or "sqlite")`);
+  }
+  const { createJsonStore } = require('./json');
+  return createJsonStore({ file: JSON_FILE });
+}
+
+module.exports = { createSessionStore };
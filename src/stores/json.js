@@ -0,0 +1,105 @@
+// src/stores/json.js
+// Session store backed by a single JSON file (data/sessions.json).
+// Operations are serialized through a queue so concurrent setups can't
+// overwrite each other, and writes go through a temp file + rename so a
+// crash mid-write never leaves a truncated file behind.
+
+const fs = require('fs').promises;
+const path = require('path');
+const { matchesFilter } = require('./filter');
+const { createLogger } = require('../logger');
+
+const log = createLogger({ module: 'store' });
+
+function createJsonStore({ file }) {
+  let queue = Promise.resolve();
+
+  // Run fn after every previously queued operation has finished
+  function enqueue(fn) {
+    const result = queue.then(() => fn());
+    queue = result.catch(() => {});
+    return result;
+  }
+
+  // Reads tolerate an unreadable file; writes (strict) refuse to overwrite it
+  async function load({ strict = false } = {}) {
+    try {
+      const data = await fs.readFile(file, 'utf8');
+      const sessions = JSON.parse(data);
+      log.debug('Loaded sessions from persistent storage', { count: Object.keys(sessions).length });
+      return sessions;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        log.info('No existing sessions file found, starting fresh', { file });
+        return {};
+      }
+      log.error('Error loading sessions', { file, err: error });
+      if (strict) throw error;
+      return {};
+    }
+  }
+
+  async function save(sessions) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const tmpFile = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmpFile, JSON.stringify(sessions, null, 2), 'utf8');
+    await fs.rename(tmpFile, file);
+    log.debug('Saved sessions to persistent storage', { count: Object.keys(sessions).length });
+  }
+
+  return {
+    type: 'json',
+
+    get(sessionId) {
+      return enqueue(async () => (await load())[sessionId] || null);
+    },
+
+    getAll() {
+      return enqueue(() => load());
+    },
+
+    list(filter) {
+      return enqueue(async () => {
+        const sessions = await load();
+        return Object.keys(sessions)
+          .filter((sessionId) => matchesFilter(sessions[sessionId], filter))
+          .map((sessionId) => ({ sessionId, ...sessions[sessionId] }));
+      });
+    },
+
+    add(sessionId, session) {
+      return enqueue(async () => {
+        const sessions = await load({ strict: true });
+        sessions[sessionId] = session;
+        await save(sessions);
+        return session;
+      });
+    },
+
+    update(sessionId, changes) {
+      return enqueue(async () => {
+        const sessions = await load({ strict: true });
+        if (!sessions[sessionId]) return null;
+        sessions[sessionId] = { ...sessions[sessionId], ...changes };
+        await save(sessions);
+        return sessions[sessionId];
+      });
+    },
+
+    remove(sessionId) {
+      return enqueue(async () => {
+        const sessions = await load({ strict: true });
+        const existed = Boolean(sessions[sessionId]);
+        delete sessions[sessionId];
+        await save(sessions);
+        return existed;
+      });
+    },
+
+    async close() {
+      await queue;
+    },
+  };
+}
+
+module.exports = { createJsonStore };
@@ -0,0 +1,179 @@
+// src/stores/sqlite.js
+// Session store backed by SQLite (better-sqlite3). Inserts and deletes are
+// transactional, and createdAt / expiresAt / status are indexed for queries.
+// On first start, sessions from an existing sessions.json are migrated once.
+
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('../logger');
+
+const log = createLogger({ module: 'store' });
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS sessions (
+    session_id     TEXT PRIMARY KEY,
+    user_id        TEXT,
+    workspace_slug TEXT,
+    created_at     TEXT NOT NULL,
+    expires_at     TEXT,
+    status         TEXT NOT NULL DEFAULT 'ready',
+    data           TEXT NOT NULL DEFAULT '{}'
+  );
+  CREATE INDEX IF NOT EXISTS idx_sessions_created_at ON sessions (created_at);
+  CREATE INDEX IF NOT EXISTS idx_sessions_expires_at ON sessions (expires_at);
+  CREATE INDEX IF NOT EXISTS idx_sessions_status ON sessions (status);
+`;
+
+// Columns with their own index; everything else lives in the `data` JSON blob.
+// user_id is TEXT, so `data` also keeps the user ID with its original type.
+function toRow(sessionId, session) {
+  const { userId, workspaceSlug, createdAt, expiresAt, status, ...rest } = session;
+  return {
+    session_id: sessionId,
+    user_id: userId == null ? null : String(userId),
+    workspace_slug: workspaceSlug == null ? null : workspaceSlug,
+    created_at: createdAt || new Date().toISOString(),
+    expires_at: expiresAt || null,
+    status: status || 'ready',
+    data: JSON.stringify({ ...rest, userId: userId ?? null }),
+  };
+}
+
+// Rows written before `data` held the user ID only have the column; AnythingLLM's IDs are numeric
+function readUserId(data, column) {
+  if (data.userId !== undefined) return data.userId;
+  return column != null && /^\d+$/.test(column) ? Number(column) : column;
+}
+
+function fromRow(row) {
+  const data = JSON.parse(row.data);
+  const session = {
+    ...data,
+    userId: readUserId(data, row.user_id),
+    workspaceSlug: row.workspace_slug,
+    createdAt: row.created_at,
+    status: row.status,
+  };
+  if (row.expires_at) session.expiresAt = row.expires_at;
+  return session;
+}
+
+// Import sessions.json into an empty database, then rename the file so it only happens once
+function migrateFromJson(db, insert, jsonFile) {
+  if (!fs.existsSync(jsonFile)) return;
+
+  const count = db.prepare('SELECT COUNT(*) AS count FROM sessions').get().count;
+  if (count > 0) {
+    log.info('Skipping migration: SQLite store already has sessions', { jsonFile, count });
+    return;
+  }
+
+  let sessions;
+  try {
+    sessions = JSON.parse(fs.readFileSync(jsonFile, 'utf8'));
+  } catch (error) {
+    log.error('Cannot migrate sessions', { jsonFile, err: error });
+    return;
+  }
+
+  const ids = Object.keys(sessions);
+  db.transaction(() => {
+    for (const sessionId of ids) insert.run(toRow(sessionId, sessions[sessionId]));
+  })();
+  fs.renameSync(jsonFile, `${jsonFile}.migrated`);
+  log.info('Migrated sessions to SQLite', { jsonFile, count: ids.length });
+}
+
+function createSqliteStore({ file, migrateFrom }) {
+  const Database = require('better-sqlite3');
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.exec(SCHEMA);
+
+  const statements = {
+    get: db.prepare('SELECT * FROM sessions WHERE session_id = ?'),
+    all: db.prepare('SELECT * FROM sessions ORDER BY created_at'),
+    insert: db.prepare(`
+      INSERT OR REPLACE INTO sessions (session_id, user_id, workspace_slug, created_at, expires_at, status, data)
+      VALUES (@session_id, @user_id, @workspace_slug, @created_at, @expires_at, @status, @data)
+    `),
+    remove: db.prepare('DELETE FROM sessions WHERE session_id = ?'),
+  };
+
+  if (migrateFrom) migrateFromJson(db, statements.insert, migrateFrom);
+
+  const updateTx = db.transaction((sessionId, changes) => {
+    const row = statements.get.get(sessionId);
+    if (!row) return null;
+    const session = { ...fromRow(row), ...changes };
+    statements.insert.run(toRow(sessionId, session));
+    return session;
+  });
+
+  log.info('SQLite session store opened', { file });
+
+  return {
+    type: 'sqlite',
+
+    async get(sessionId) {
+      const row = statements.get.get(sessionId);
+      return row ? fromRow(row) : null;
+    },
+
+    async getAll() {
+      const sessions = {};
+      for (const row of statements.all.all()) sessions[row.session_id] = fromRow(row);
+      return sessions;
+    },
+
+    async list(filter = {}) {
+      const clauses = [];
+      const params = {};
+      if (filter.status) {
+        clauses.push('status = @status');
+        params.status = filter.status;
+      }
+      if (filter.createdBefore) {
+        clauses.push('created_at < @createdBefore');
+        params.createdBefore = filter.createdBefore;
+      }
+      if (filter.createdAfter) {
+        clauses.push('created_at > @createdAfter');
+        params.createdAfter = filter.createdAfter;
+      }
+      if (filter.expiresBefore) {
+        clauses.push('expires_at <= @expiresBefore');
+        params.expiresBefore = filter.expiresBefore;
+      }
+      if (filter.expiresAfter) {
+        clauses.push('expires_at > @expiresAfter');
+        params.expiresAfter = filter.expiresAfter;
+      }
+      const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+      const rows = db.prepare(`SELECT * FROM sessions ${where} ORDER BY created_at`).all(params);
+      return rows.map((row) => ({ sessionId: row.session_id, ...fromRow(row) }));
+    },
+
+    async add(sessionId, session) {
+      db.transaction(() => statements.insert.run(toRow(sessionId, session)))();
+      return session;
+    },
+
+    async update(sessionId, changes) {
+      return updateTx(sessionId, changes);
+    },
+
+    async remove(sessionId) {
+      const result = db.transaction(() => statements.remove.run(sessionId))();
+      return result.changes > 0;
+    },
+
+    async close() {
+      db.close();
+    },
+  };
+}
+
+module.exports = { createSqliteStore };
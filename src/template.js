@@ -1,86 +1,169 @@
 // src/template.js
 // HTML rendering helpers for the SSO service
 
-function renderSuccessPage({ redirectUrl, sessionId, workspaceSlug, userId, SKIP_DOCUMENTS, userAddResult }) {
+const escapeHtml = (text) =>
+  String(text).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+// Success-page lines ({ ok, text }, text is HTML-safe) for the documents that were left out,
+// the embedding wait and the workspace verification.
+// Claimed pool workspaces have none of them recorded, so they count as embedded.
+function describeDocumentChecks({ embeddingsReady, verification, documentReport }) {
+  const lines = [];
+  if (documentReport) {
+    const { skipped, failed } = documentReport;
+    if (skipped.length > 0) {
+      lines.push({
+        ok: false,
+        text: `Skipped ${skipped.length} ${skipped.length === 1 ? 'document' : 'documents'}: ${skipped.map(({ file, reason }) => `${escapeHtml(file)} (${escapeHtml(reason)})`).join(', ')}`,
+      });
+    }
+    if (failed.length > 0) {
+      lines.push({
+        ok: false,
+        text: `Could not upload ${failed.length} ${failed.length === 1 ? 'document' : 'documents'}: ${failed.map(({ file }) => escapeHtml(file)).join(', ')}`,
+      });
+    }
+  }
+
+  if (!verification || verification.skipped) {
+    lines.push({ ok: embeddingsReady !== false, text: embeddingsReady === false ? 'Documents still being embedded' : 'Documents embedded' });
+    return lines;
+  }
+  const { documents, canary } = verification;
+  lines.push({
+    ok: documents.missing.length === 0,
+    text: `Verified: ${documents.embedded} of ${documents.expected} documents embedded${documents.reembedded ? ' (after re-embedding)' : ''}`,
+  });
+  if (canary) {
+    lines.push({
+      ok: canary.passed,
+      text: canary.passed
+        ? `Test question answered from ${canary.sources} ${canary.sources === 1 ? 'source' : 'sources'}`
+        : 'Test question was not answered from the documents',
+    });
+  }
+  return lines;
+}
+
+// Success content shown in place of the progress bar (over SSE, polling or /setup/:sessionId).
+// It is injected into another page, so it carries its own inline styles.
+function renderSuccessContent({ redirectUrl, sessionId, workspaceSlug, userId, expiresAt, SKIP_DOCUMENTS, userAddResult, embeddingsReady, verification, documentReport }) {
+  const documentChecks = SKIP_DOCUMENTS ? [] : describeDocumentChecks({ embeddingsReady, verification, documentReport });
+  return `
+        <div class="status" style="color: #28a745; font-size: 24px; margin-bottom: 20px;">✅ Workspace loaded successfully!</div>
+        <a href="${redirectUrl}" class="link" style="display: inline-block; padding: 12px 24px; background-color: #007bff; color: white; text-decoration: none; border-radius: 5px; font-size: 18px; transition: background-color 0.3s;">Click here to access your workspace</a>
+        <div class="info" style="margin-top: 20px; color: #666; font-size: 14px; line-height: 1.5;">
+            <strong>Session Details:</strong><br>
+            Session ID: ${sessionId}<br>
+            Workspace: ${workspaceSlug}<br>
+            User ID: ${userId}<br>
+            <br>
+            This session expires at ${new Date(expiresAt).toUTCString()} and will then be cleaned up automatically.
+        </div>
+        <div class="steps" style="text-align: left; margin: 20px 0; padding: 15px; background: #f8f9fa; border-radius: 5px; font-size: 12px; color: #495057;">
+            <strong>Setup Steps Completed:</strong><br>
+            <div class="step success" style="margin: 5px 0; color: #28a745;">✓ User created successfully</div>
+            <div class="step success" style="margin: 5px 0; color: #28a745;">✓ Workspace created successfully</div>
+            <div class="step ${SKIP_DOCUMENTS ? 'skipped' : 'success'}" style="margin: 5px 0; color: ${SKIP_DOCUMENTS ? '#ffc107' : '#28a745'};">${SKIP_DOCUMENTS ? '⚠ Documents skipped' : '✓ Documents added to workspace'}</div>
+            <div class="step ${userAddResult?.skipped ? 'skipped' : 'success'}" style="margin: 5px 0; color: ${userAddResult?.skipped ? '#ffc107' : '#28a745'};">${userAddResult?.skipped ? '⚠ User addition skipped' : '✓ User added to workspace'}</div>
+            ${documentChecks.map(({ ok, text }) => `<div class="step ${ok ? 'success' : 'skipped'}" style="margin: 5px 0; color: ${ok ? '#28a745' : '#ffc107'};">${ok ? '✓' : '⚠'} ${text}</div>`).join('')}
+            <div class="step success" style="margin: 5px 0; color: #28a745;">✓ SSO token generated</div>
+        </div>
+        ${userAddResult?.skipped ? `
+        <div class="warning" style="margin-top: 20px; padding: 15px; background: #f8d7da; border-radius: 5px; font-size: 14px; color: #721c24; border-left: 4px solid #dc3545;">
+            <strong>Warning:</strong> ${userAddResult.reason || 'User was not added to the workspace'}.
+            The workspace is still accessible but may have limited functionality.
+        </div>
+        ` : ''}
+        ${SKIP_DOCUMENTS ? `
+        <div class="notice" style="margin-top: 20px; padding: 15px; background: #fff3cd; border-radius: 5px; font-size: 14px; color: #856404; border-left: 4px solid #ffc107;">
+            <strong>Notice:</strong> Document addition is currently disabled. The workspace is ready to use but won't have access to the portfolio documents.
+        </div>
+        ` : ''}
+      `;
+}
+
+function renderErrorPage({ errorStep, errorMessage, sessionId, userId, workspaceSlug, startPath = '/' }) {
   return `
     <!DOCTYPE html>
     <html>
     <head>
-      <title>Workspace Ready</title>
+      <title>Setup Failed</title>
       <style>
-        body {
-          font-family: Arial, sans-serif;
-          display: flex;
-          justify-content: center;
-          align-items: center;
-          height: 100vh;
-          margin: 0;
-          background-color: #f5f5f5;
-        }
-        .container {
-          text-align: center;
-          padding: 40px;
-          background: white;
-          border-radius: 10px;
-          box-shadow: 0 2px 10px rgba(0,0,0,0.1);
-          max-width: 600px;
-        }
+        body { font-family: Arial, sans-serif; display: flex; justify-content: center; align-items: center; height: 100vh; margin: 0; background-color: #f5f5f5; }
+        .container { text-align: center; padding: 40px; background: white; border-radius: 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); max-width: 600px; }
+        .error { color: #dc3545; font-size: 24px; margin-bottom: 20px; }
+        .retry { display: inline-block; padding: 12px 24px; background-color: #007bff; color: white; text-decoration: none; border-radius: 5px; font-size: 18px; transition: background-color 0.3s; margin: 10px; }
+        .retry:hover { background-color: #0056b3; }
+        .details { margin-top: 20px; padding: 15px; background: #f8f9fa; border-radius: 5px; font-size: 12px; color: #495057; text-align: left; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="error">❌ Failed to set up session</div>
+        <p>Something went wrong while creating your workspace. Please try again.</p>
+        <a href="${startPath}" class="retry">Try Again</a>
+        <div class="details">
+          <strong>Error Details:</strong><br>
+          Failed at: ${escapeHtml(errorStep)}<br>
+          Error: ${escapeHtml(errorMessage)}<br>
+          ${sessionId ? `Session ID: ${escapeHtml(sessionId)}<br>` : ''}
+          ${userId ? `User ID: ${escapeHtml(userId)}<br>` : ''}
+          ${workspaceSlug ? `Workspace: ${escapeHtml(workspaceSlug)}<br>` : ''}
+          <br>
+          Any partially created resources have been cleaned up.
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+}
+
+function renderWelcomeBackPage({ redirectUrl, sessionId, workspaceSlug, userId, expiresAt, startPath = '/' }) {
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <title>Welcome Back</title>
+      <style>
+        body { font-family: Arial, sans-serif; display: flex; justify-content: center; align-items: center; height: 100vh; margin: 0; background-color: #f5f5f5; }
+        .container { text-align: center; padding: 40px; background: white; border-radius: 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); max-width: 600px; }
         .status { color: #28a745; font-size: 24px; margin-bottom: 20px; }
         .link { display: inline-block; padding: 12px 24px; background-color: #007bff; color: white; text-decoration: none; border-radius: 5px; font-size: 18px; transition: background-color 0.3s; }
         .link:hover { background-color: #0056b3; }
+        .fresh { margin-top: 20px; padding: 8px 16px; background: none; color: #007bff; border: 1px solid #007bff; border-radius: 5px; font-size: 14px; cursor: pointer; }
+        .fresh:hover { background-color: #f0f7ff; }
         .info { margin-top: 20px; color: #666; font-size: 14px; line-height: 1.5; }
-        .steps { text-align: left; margin: 20px 0; padding: 15px; background: #f8f9fa; border-radius: 5px; font-size: 12px; color: #495057; }
-        .step { margin: 5px 0; }
-        .step.success { color: #28a745; }
-        .step.skipped { color: #ffc107; }
-        .notice { margin-top: 20px; padding: 15px; background: #fff3cd; border-radius: 5px; font-size: 14px; color: #856404; border-left: 4px solid #ffc107; }
-        .warning { margin-top: 20px; padding: 15px; background: #f8d7da; border-radius: 5px; font-size: 14px; color: #721c24; border-left: 4px solid #dc3545; }
       </style>
     </head>
     <body>
       <div class="container">
-        <div class="status">✅ Workspace loaded successfully!</div>
-        <a href="${redirectUrl}" class="link">Click here to access your workspace</a>
+        <div class="status">👋 Welcome back!</div>
+        <a href="${redirectUrl}" class="link">Continue to your workspace</a>
         <div class="info">
           <strong>Session Details:</strong><br>
           Session ID: ${sessionId}<br>
           Workspace: ${workspaceSlug}<br>
           User ID: ${userId}<br>
           <br>
-          This session will be automatically cleaned up at midnight.
-        </div>
-        <div class="steps">
-          <strong>Setup Steps Completed:</strong><br>
-          <div class="step success">✓ User created successfully</div>
-          <div class="step success">✓ Workspace created successfully</div>
-          <div class="step ${SKIP_DOCUMENTS ? 'skipped' : 'success'}">${SKIP_DOCUMENTS ? '⚠ Documents skipped' : '✓ Documents added to workspace'}</div>
-          <div class="step ${userAddResult?.skipped ? 'skipped' : 'success'}">${userAddResult?.skipped ? '⚠ User addition skipped' : '✓ User added to workspace'}</div>
-          <div class="step success">✓ Waited for workspace to settle</div>
-          <div class="step success">✓ SSO token generated</div>
+          Your previous chats are still available. This session expires at ${new Date(expiresAt).toUTCString()}.
         </div>
-        ${userAddResult?.skipped ? `
-        <div class="warning">
-          <strong>Warning:</strong> ${userAddResult.reason || 'User was not added to the workspace'}.
-          The workspace is still accessible but may have limited functionality.
-        </div>
-        ` : ''}
-        ${SKIP_DOCUMENTS ? `
-        <div class="notice">
-          <strong>Notice:</strong> Document addition is currently disabled. The workspace is ready to use but won't have access to the portfolio documents.
-        </div>
-        ` : ''}
+        <form method="POST" action="${startPath === '/' ? '' : startPath}/start-fresh">
+          <button type="submit" class="fresh">Start fresh with a new workspace</button>
+        </form>
       </div>
     </body>
     </html>
   `;
 }
 
-function renderErrorPage({ errorStep, errorMessage, sessionId, userId, workspaceSlug }) {
+function renderTryAgainPage({ message, retryAfterSeconds, startPath = '/' }) {
+  const retryAfterMinutes = Math.ceil(retryAfterSeconds / 60);
   return `
     <!DOCTYPE html>
     <html>
     <head>
-      <title>Setup Failed</title>
+      <title>Try Again Later</title>
       <style>
         body { font-family: Arial, sans-serif; display: flex; justify-content: center; align-items: center; height: 100vh; margin: 0; background-color: #f5f5f5; }
         .container { text-align: center; padding: 40px; background: white; border-radius: 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); max-width: 600px; }
@@ -92,23 +175,78 @@ function renderErrorPage({ errorStep, errorMessage, sessionId, userId, workspace
     </head>
     <body>
       <div class="container">
-        <div class="error">❌ Failed to set up session</div>
-        <p>Something went wrong while creating your workspace. Please try again.</p>
-        <a href="/" class="retry">Try Again</a>
+        <div class="error">⏳ Please try again later</div>
+        <p>${message}</p>
+        <a href="${startPath}" class="retry">Try Again</a>
         <div class="details">
-          <strong>Error Details:</strong><br>
-          Failed at: ${errorStep}<br>
-          Error: ${errorMessage}<br>
-          ${sessionId ? `Session ID: ${sessionId}<br>` : ''}
-          ${userId ? `User ID: ${userId}<br>` : ''}
-          ${workspaceSlug ? `Workspace: ${workspaceSlug}<br>` : ''}
-          <br>
-          Any partially created resources have been cleaned up.
+          <strong>Details:</strong><br>
+          No workspace was created for this request.<br>
+          You can try again in about ${retryAfterMinutes} minute${retryAfterMinutes === 1 ? '' : 's'}.
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+}
+
+// No-JavaScript fallback while setup runs: reloads itself via meta refresh
+function renderSetupProgressPage({ sessionId, percent, text, refreshSeconds = 3 }) {
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <title>Setting up your workspace...</title>
+      <meta http-equiv="refresh" content="${refreshSeconds};url=/setup/${sessionId}">
+      <style>
+        body { font-family: Arial, sans-serif; display: flex; justify-content: center; align-items: center; height: 100vh; margin: 0; background-color: #f5f5f5; }
+        .container { text-align: center; padding: 40px; background: white; border-radius: 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); max-width: 600px; }
+        .loading { color: #007bff; font-size: 24px; margin-bottom: 20px; }
+        .progress-bar-container { width: 100%; background-color: #e0e0e0; border-radius: 4px; overflow: hidden; margin: 20px 0; }
+        .progress-bar { height: 20px; background-color: #007bff; }
+        .status-text { margin-top: 10px; font-size: 14px; color: #666; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="loading">Setting up your workspace...</div>
+        <div class="progress-bar-container">
+          <div class="progress-bar" style="width: ${percent}%;"></div>
         </div>
+        <div class="status-text">${text}</div>
+        <div class="status-text">This page refreshes automatically. <a href="/setup/${sessionId}">Refresh now</a></div>
+      </div>
+    </body>
+    </html>
+  `;
+}
+
+// No-JavaScript fallback once setup has finished: wraps the final success/error content
+function renderSetupResultPage({ type, html }) {
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <title>${type === 'success' ? 'Workspace Ready' : 'Setup Failed'}</title>
+      <style>
+        body { font-family: Arial, sans-serif; display: flex; justify-content: center; align-items: center; min-height: 100vh; margin: 0; background-color: #f5f5f5; }
+        .container { text-align: center; padding: 40px; background: white; border-radius: 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); max-width: 600px; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        ${html}
       </div>
     </body>
     </html>
   `;
 }
 
-module.exports = { renderSuccessPage, renderErrorPage };
+module.exports = {
+  escapeHtml,
+  renderSuccessContent,
+  renderErrorPage,
+  renderWelcomeBackPage,
+  renderTryAgainPage,
+  renderSetupProgressPage,
+  renderSetupResultPage,
+};
@@ -1,388 +1,496 @@
 // src/workspace.js
 // Core logic and utilities for the AnythingLLM SSO service
 
-const axios = require('axios');
-const fs = require('fs').promises;
 const path = require('path');
 const config = require('./config');
-
-// Path to the persistent storage file
-const SESSIONS_FILE = path.join(__dirname, '..', 'data', 'sessions.json');
+const documents = require('./documents');
+const profiles = require('./profiles');
+const metrics = require('./metrics');
+const { createLogger, withContext } = require('./logger');
+const { createSessionStore } = require('./stores');
+const { AnythingLLMClient, AuthError, NotFoundError } = require('./anythingllm');
+const { withRetry } = require('./retry');
+
+const log = createLogger({ module: 'workspace' });
+
+// Shared AnythingLLM API client – settings are read per request so hot reloads apply
+const client = new AnythingLLMClient({
+  baseUrl: () => config.LLM_API_URL,
+  apiKey: () => config.API_KEY,
+  timeout: () => config.API_TIMEOUT_MS,
+  uploadTimeout: () => config.API_UPLOAD_TIMEOUT_MS,
+});
+metrics.instrumentAxios(client.http);
 
 // Helper function to wait
 const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
-// Retry wrapper for API calls
-async function retryApiCall(apiCall, maxRetries = 3, delay = 1000) {
-  for (let i = 0; i < maxRetries; i++) {
-    try {
-      return await apiCall();
-    } catch (error) {
-      console.log(`Attempt ${i + 1} failed:`, error.message);
-      if (i === maxRetries - 1) throw error;
-      await sleep(delay * (i + 1));
-    }
+// Persistent storage – JSON file or SQLite, selected by SESSION_STORE (see src/stores)
+let storePromise = null;
+
+function getStore() {
+  if (!storePromise) {
+    storePromise = createSessionStore(config).then(async (store) => {
+      await backfillExpiry(store);
+      return store;
+    });
+    // Let a failed open be retried on the next call
+    storePromise.catch(() => {
+      storePromise = null;
+    });
   }
+  return storePromise;
 }
 
-// Persistent storage functions
-async function ensureDataDirectory() {
-  const dataDir = path.dirname(SESSIONS_FILE);
-  try {
-    await fs.mkdir(dataDir, { recursive: true });
-  } catch (error) {
-    console.error('Error creating data directory:', error.message);
-  }
+// Compute the expiry timestamp for a session created (or extended) at `from`
+function computeExpiry(from = new Date(), hours = config.SESSION_TTL_HOURS) {
+  return new Date(new Date(from).getTime() + hours * 60 * 60 * 1000).toISOString();
 }
 
-async function loadSessions() {
-  try {
-    await ensureDataDirectory();
-    const data = await fs.readFile(SESSIONS_FILE, 'utf8');
-    const sessions = JSON.parse(data);
-    console.log(`Loaded ${Object.keys(sessions).length} sessions from persistent storage`);
-    return sessions;
-  } catch (error) {
-    if (error.code === 'ENOENT') {
-      console.log('No existing sessions file found, starting fresh');
-      return {};
+// Sessions recorded before TTLs existed have no expiresAt – derive it from createdAt
+function getSessionExpiry(session) {
+  if (session.expiresAt) return session.expiresAt;
+  return computeExpiry(session.createdAt || 0);
+}
+
+function isSessionExpired(session, now = Date.now()) {
+  return new Date(getSessionExpiry(session)).getTime() <= now;
+}
+
+// Give sessions recorded before TTLs existed an explicit expiresAt, so the
+// store can answer expiry queries from its own index
+async function backfillExpiry(store) {
+  const sessions = await store.getAll();
+  for (const sessionId of Object.keys(sessions)) {
+    if (!sessions[sessionId].expiresAt) {
+      await store.update(sessionId, { expiresAt: getSessionExpiry(sessions[sessionId]) });
     }
-    console.error('Error loading sessions:', error.message);
-    return {};
   }
 }
 
-async function saveSessions(sessions) {
-  try {
-    await ensureDataDirectory();
-    await fs.writeFile(SESSIONS_FILE, JSON.stringify(sessions, null, 2), 'utf8');
-    console.log(`Saved ${Object.keys(sessions).length} sessions to persistent storage`);
-  } catch (error) {
-    console.error('Error saving sessions:', error.message);
+// Provisioning states a session moves through (see src/provisioner.js)
+const SESSION_STATES = {
+  PENDING: 'pending',
+  USER_CREATED: 'user_created',
+  WORKSPACE_CREATED: 'workspace_created',
+  DOCS_ADDED: 'docs_added',
+  READY: 'ready',
+  FAILED: 'failed',
+  DELETING: 'deleting',
+};
+
+// States in which setup was started but not finished
+const IN_PROGRESS_STATES = [
+  SESSION_STATES.PENDING,
+  SESSION_STATES.USER_CREATED,
+  SESSION_STATES.WORKSPACE_CREATED,
+  SESSION_STATES.DOCS_ADDED,
+];
+
+// Record a session as soon as its setup starts, so nothing it creates goes untracked
+async function createSession(sessionId, fields = {}) {
+  const store = await getStore();
+  const createdAt = new Date().toISOString();
+  const session = await store.add(sessionId, {
+    userId: null,
+    workspaceSlug: null,
+    createdAt,
+    expiresAt: computeExpiry(createdAt),
+    status: SESSION_STATES.PENDING,
+    ...fields
+  });
+  log.info('Session added to persistent storage', { sessionId, status: session.status });
+  return session;
+}
+
+// Merge changes into a stored session (e.g. a state transition plus the IDs it produced)
+async function updateSession(sessionId, changes) {
+  const store = await getStore();
+  const session = await store.update(sessionId, { ...changes, updatedAt: new Date().toISOString() });
+  if (session && changes.status) {
+    log.info('Session state changed', { sessionId, status: changes.status });
   }
+  return session;
 }
 
-async function addSession(sessionId, userId, workspaceSlug) {
-  const sessions = await loadSessions();
-  sessions[sessionId] = {
-    userId,
-    workspaceSlug,
-    createdAt: new Date().toISOString()
-  };
-  await saveSessions(sessions);
-  console.log(`Session ${sessionId} added to persistent storage`);
+// Mark a session ready; its TTL starts counting from hand-over
+async function markSessionReady(sessionId, changes = {}) {
+  return updateSession(sessionId, {
+    ...changes,
+    status: SESSION_STATES.READY,
+    error: null,
+    expiresAt: computeExpiry(new Date())
+  });
+}
+
+// Push back the expiry of a live session. Returns the updated session,
+// or null if the session is unknown or has already expired.
+async function extendSession(sessionId, hours = config.SESSION_EXTEND_HOURS) {
+  const store = await getStore();
+  const session = await store.get(sessionId);
+  if (!session) {
+    log.info('Cannot extend session: not found', { sessionId });
+    return null;
+  }
+  if (isSessionExpired(session)) {
+    log.info('Cannot extend session: already expired', { sessionId });
+    return null;
+  }
+  const updated = await store.update(sessionId, {
+    expiresAt: computeExpiry(getSessionExpiry(session), hours)
+  });
+  log.info('Session extended', { sessionId, expiresAt: updated.expiresAt });
+  return updated;
 }
 
 async function removeSession(sessionId) {
-  const sessions = await loadSessions();
-  delete sessions[sessionId];
-  await saveSessions(sessions);
-  console.log(`Session ${sessionId} removed from persistent storage`);
+  const store = await getStore();
+  await store.remove(sessionId);
+  activeSessions.delete(sessionId);
+  log.info('Session removed from persistent storage', { sessionId });
 }
 
 async function getAllSessions() {
-  return await loadSessions();
+  const store = await getStore();
+  return await store.getAll();
+}
+
+async function getSession(sessionId) {
+  const store = await getStore();
+  return await store.get(sessionId);
 }
 
-// Check if multi-user mode is enabled using the dedicated endpoint
+// Sessions whose TTL has not yet elapsed
+async function listLiveSessions() {
+  const store = await getStore();
+  return await store.list({ expiresAfter: new Date().toISOString() });
+}
+
+// Check if multi-user mode is enabled. Only AnythingLLM answering "no" means disabled;
+// failures to ask (network errors, 5xx, ...) are retried and then thrown.
 async function checkMultiUserMode() {
-  try {
-    console.log('Checking if multi-user mode is enabled using dedicated endpoint...');
-    const response = await axios.get(
-      `${config.LLM_API_URL}/api/v1/admin/is-multi-user-mode`,
-      {
-        headers: {
-          Authorization: `Bearer ${config.API_KEY}`,
-        },
-      }
-    );
-    const isMultiUser = response.data?.isMultiUser || false;
-    console.log(`Multi-user mode is ${isMultiUser ? 'enabled' : 'disabled'}`);
-    return isMultiUser;
-  } catch (error) {
-    console.error('Error checking multi-user mode:', error.message);
-    if (error.response) {
-      console.error('Error response status:', error.response.status);
-      console.error('Error response:', error.response.data);
-    }
-    return false;
-  }
+  const isMultiUser = await withRetry(() => client.isMultiUserMode());
+  log.debug(`Multi-user mode is ${isMultiUser ? 'enabled' : 'disabled'}`);
+  return isMultiUser;
 }
 
-// Create a new user using the correct endpoint
+// Create a new user with a random password; returns its ID
 async function createUser(username) {
-  return retryApiCall(async () => {
-    console.log(`Creating new user via POST /api/v1/admin/users/new: ${username}`);
-    const isMultiUser = await checkMultiUserMode();
-    if (!isMultiUser) {
-      throw new Error('Cannot create user: Multi-user mode is not enabled in AnythingLLM.');
-    }
+  const isMultiUser = await checkMultiUserMode();
+  if (!isMultiUser) {
+    throw new Error('Cannot create user: Multi-user mode is not enabled in AnythingLLM.');
+  }
+  return withRetry(async () => {
+    log.info('Creating user', { username });
     const password = Math.random().toString(36).slice(-8);
-    const role = 'default';
-    const response = await axios.post(
-      `${config.LLM_API_URL}/api/v1/admin/users/new`,
-      { username, password, role },
-      {
-        headers: {
-          Authorization: `Bearer ${config.API_KEY}`,
-          'Content-Type': 'application/json',
-        },
-      }
-    );
-    console.log('User creation response:', JSON.stringify(response.data, null, 2));
-    if (response.data.user && response.data.user.id) {
-      console.log(`User created successfully with ID: ${response.data.user.id}`);
-      return response.data.user.id;
-    }
-    throw new Error(response.data.error || 'Failed to create user: No user ID returned');
+    const user = await client.createUser({ username, password, role: 'default' });
+    log.info('User created', { username, userId: user.id });
+    return user.id;
+  }, {
+    idempotent: false,
+    // Usernames are unique, so a user with this name was made by a failed attempt
+    findExisting: async () => {
+      const existing = (await client.listUsers()).find((user) => user.username === username);
+      return existing ? existing.id : null;
+    },
   });
 }
 
-// Create a new workspace
-async function createWorkspace(workspaceName) {
-  return retryApiCall(async () => {
-    console.log(`Creating workspace: ${workspaceName}`);
-    const response = await axios.post(
-      `${config.LLM_API_URL}/api/v1/workspace/new`,
-      {
-        name: workspaceName,
-        similarityThreshold: parseFloat(config.SIMILARITY_THRESHOLD),
-        openAiTemp: parseFloat(config.OPENAI_TEMP),
-        openAiHistory: parseInt(config.OPENAI_HISTORY),
-        openAiPrompt: config.OPENAI_PROMPT,
-        queryRefusalResponse: config.QUERY_REFUSAL_RESPONSE,
-        chatMode: config.CHAT_MODE,
-        topN: parseInt(config.TOP_N),
-      },
-      {
-        headers: {
-          Authorization: `Bearer ${config.API_KEY}`,
-          'Content-Type': 'application/json',
-        },
-      }
-    );
-    console.log('Workspace creation response:', JSON.stringify(response.data, null, 2));
-    const workspaceSlug =
-      response.data.workspace?.slug || response.data.workspace?.id || null;
-    if (!workspaceSlug) {
-      console.error('Could not extract workspace slug from response:', response.data);
-      throw new Error('Could not extract workspace slug from response');
-    }
-    console.log(`Workspace created successfully with slug: ${workspaceSlug}`);
-    return workspaceSlug;
+// Create a new workspace with a profile's prompt and settings; returns its slug
+async function createWorkspace(workspaceName, profile = profiles.getDefaultProfile()) {
+  return withRetry(async () => {
+    log.info('Creating workspace', { workspaceName, profile: profile.name });
+    const created = await client.createWorkspace({
+      name: workspaceName,
+      ...profile.workspace,
+      openAiPrompt: profile.prompt,
+      queryRefusalResponse: profile.queryRefusalResponse,
+    });
+    log.info('Workspace created', { workspaceSlug: created.slug });
+    return created.slug;
+  }, {
+    idempotent: false,
+    // Workspace names carry the session or pool ID, so a match is ours
+    findExisting: async () => {
+      const existing = (await client.listWorkspaces()).find((found) => found.name === workspaceName);
+      return existing ? existing.slug : null;
+    },
   });
 }
 
+// Apply a profile's prompt and settings to an existing workspace
+async function updateWorkspaceSettings(workspaceSlug, profile = profiles.getDefaultProfile()) {
+  return withRetry(async () => {
+    log.info('Updating workspace settings', { workspaceSlug, profile: profile.name });
+    return client.updateWorkspace(workspaceSlug, {
+      ...profile.workspace,
+      openAiPrompt: profile.prompt,
+      queryRefusalResponse: profile.queryRefusalResponse,
+    });
+  });
+}
 
+// Document paths currently embedded in a workspace
+async function getWorkspaceDocuments(workspaceSlug) {
+  return withRetry(async () => {
+    const found = await client.getWorkspace(workspaceSlug);
+    return (found.documents || []).map((doc) => doc.docpath);
+  });
+}
 
+/**
+ * Poll a workspace until every document in `expected` is embedded, or the timeout passes.
+ * @param {string} workspaceSlug
+ * @param {string[]} expected - document locations passed to update-embeddings
+ * @returns {Promise<{ ready: boolean, missing: string[] }>}
+ */
+async function waitForEmbeddings(
+  workspaceSlug,
+  expected,
+  { timeoutMs = config.EMBEDDING_WAIT_TIMEOUT_MS, intervalMs = config.EMBEDDING_POLL_INTERVAL_MS } = {}
+) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const embedded = new Set(await getWorkspaceDocuments(workspaceSlug));
+    const missing = expected.filter((location) => !embedded.has(location));
+    if (missing.length === 0) return { ready: true, missing };
+    if (Date.now() + intervalMs > deadline) return { ready: false, missing };
+    log.debug('Waiting for embeddings', { workspaceSlug, missing: missing.length });
+    await sleep(intervalMs);
+  }
+}
 
-// Upload a document to AnythingLLM
-async function uploadDocument(filePath) {
-  return retryApiCall(async () => {
-    console.log(`Uploading document: ${filePath}`);
-    const FormData = require('form-data');
-    const fs = require('fs');
-    const formData = new FormData();
-    formData.append('file', fs.createReadStream(filePath));
-
-    const response = await axios.post(
-      `${config.LLM_API_URL}/api/v1/document/upload`,
-      formData,
-      {
-        headers: {
-          Authorization: `Bearer ${config.API_KEY}`,
-          ...formData.getHeaders(),
-        },
-      }
-    );
-    console.log('Upload document response:', JSON.stringify(response.data, null, 2));
-
-    let location = null;
-    if (response.data.success) {
-       console.log(`Document ${filePath} uploaded successfully`);
-       location = response.data.documents[0].location;
-    } else if (response.data.documents && response.data.documents.length > 0) {
-      location = response.data.documents[0].location;
-    } else {
-        throw new Error(response.data.error || 'Failed to upload document');
-    }
+/**
+ * Check that a workspace embeds the documents it should – re-embedding any
+ * that are missing once – and, with a canary query, that answers draw on them.
+ * @param {string} workspaceSlug
+ * @param {string[]} expected - document locations the workspace should embed
+ * @param {object} [options]
+ * @param {string} [options.canaryQuery] - question that should be answered from the documents
+ * @returns {Promise<{ passed: boolean, documents: object, canary: object|null }>}
+ */
+async function verifyWorkspace(workspaceSlug, expected, { canaryQuery = config.VERIFY_CANARY_QUERY } = {}) {
+  const embedded = new Set(await getWorkspaceDocuments(workspaceSlug));
+  let missing = expected.filter((location) => !embedded.has(location));
+  const reembedded = missing.length > 0;
+  if (reembedded) {
+    log.warn('Documents missing from workspace, embedding them again', { workspaceSlug, missing });
+    await withRetry(() => client.updateEmbeddings(workspaceSlug, { adds: missing }));
+    ({ missing } = await waitForEmbeddings(workspaceSlug, missing));
+  }
+  const documents = { expected: expected.length, embedded: expected.length - missing.length, missing, reembedded };
 
-    // Now attempt to move the file from root to the proper folder if needed
-    try {
-        await axios.post(
-            `${config.LLM_API_URL}/api/v1/document/create-folder`,
-            { name: FOLDER_NAME },
-            { headers: { Authorization: `Bearer ${config.API_KEY}`, 'Content-Type': 'application/json' } }
-        );
-    } catch(e) {
-        // Ignored, folder likely exists
-    }
+  // Only meaningful once every document is in place
+  let canary = null;
+  if (canaryQuery && expected.length > 0 && missing.length === 0) {
+    const { sources } = await withRetry(() => client.chat(workspaceSlug, canaryQuery, { mode: 'query' }));
+    canary = { query: canaryQuery, passed: sources.length > 0, sources: sources.length };
+  }
 
-    try {
-        const fileObj = response.data.documents[0];
-        await axios.post(
-            `${config.LLM_API_URL}/api/v1/document/move-files`,
-            {
-                files: [{ from: location, to: `${FOLDER_NAME}/${fileObj.title}` }]
-            },
-            { headers: { Authorization: `Bearer ${config.API_KEY}`, 'Content-Type': 'application/json' } }
-        );
-        console.log(`Moved document to ${FOLDER_NAME}/${fileObj.title}`);
-        return `${FOLDER_NAME}/${fileObj.title}`;
-    } catch (e) {
-        console.error('Error moving file:', e.message);
-        // It might already be in the right location, so return the folder path anyway just in case
-        const fileObj = response.data.documents[0];
-        return `${FOLDER_NAME}/${fileObj.title}`;
-    }
+  const passed = missing.length === 0 && (!canary || canary.passed);
+  log.info('Workspace verified', { workspaceSlug, passed, documents, canary });
+  return { passed, documents, canary };
+}
 
+// AnythingLLM's default folder, where every upload lands first
+const UPLOAD_FOLDER = 'custom-documents';
+
+// Upload a document to AnythingLLM and move it into `folderName`; returns its location there.
+// `upload` makes the API call – a file, web page or text upload – `name` labels it in logs,
+// and `isCopy(doc)` recognises the stored document in a folder listing.
+async function uploadDocument(name, upload, isCopy, folderName) {
+  // What the upload folder already holds, to tell a copy made by a timed-out attempt from older ones
+  const before = new Set(
+    (await client.listFolder(UPLOAD_FOLDER).catch(() => [])).map((doc) => doc.name)
+  );
+  const location = await withRetry(async () => {
+    log.info('Uploading document', { document: name });
+    const stored = await upload();
+    log.info('Document uploaded', { document: name, location: stored.location });
+    return stored.location;
+  }, {
+    idempotent: false,
+    // A new document with this title means a failed attempt was stored after all
+    findExisting: async () => {
+      const copy = (await client.listFolder(UPLOAD_FOLDER)).find((doc) => !before.has(doc.name) && isCopy(doc));
+      return copy ? `${UPLOAD_FOLDER}/${copy.name}` : null;
+    },
   });
+  return moveIntoFolder(location, folderName);
 }
 
+// Move an uploaded document into `folderName`; returns its location there, or where it
+// still is if the move failed
+async function moveIntoFolder(location, folderName) {
+  // Keep AnythingLLM's stored document name so the location matches folder listings
+  const storedName = path.basename(location);
+  const target = `${folderName}/${storedName}`;
+  if (location === target) return target;
 
-// List documents in a folder
-async function listDocumentsInFolder(folderName) {
-  return retryApiCall(async () => {
-    console.log(`Listing documents in folder: ${folderName}`);
-    const response = await axios.get(
-      `${config.LLM_API_URL}/api/v1/documents/folder/${folderName}`,
-      {
-        headers: {
-          Authorization: `Bearer ${config.API_KEY}`,
-        },
-      }
-    );
-    console.log(`Documents in folder ${folderName} response:`, JSON.stringify(response.data, null, 2));
+  try {
+    await client.createFolder(folderName);
+  } catch (error) {
+    // Ignored, folder likely exists
+  }
+  try {
+    await withRetry(() => client.moveFiles([{ from: location, to: target }]));
+    log.info('Moved document', { location: target });
+    return target;
+  } catch (error) {
+    log.error('Error moving document', { location, folderName, err: error });
+  }
 
-    if (response.data.error) {
-      throw new Error(`Error listing documents: ${response.data.error}`);
-    }
+  // A retried move fails once the first one went through – only report the folder
+  // path if the file really is there; otherwise it is still where the upload put it
+  const moved = await client
+    .listFolder(folderName)
+    .then((documents) => documents.some((doc) => doc.name === storedName), () => false);
+  if (moved) return target;
+  log.warn('Document left in its upload location', { location });
+  return location;
+}
+
+// Recognise an uploaded document by the title AnythingLLM stores with it
+const titled = (title) => (doc) => doc.title === title;
 
-    const documents = response.data.documents || [];
-    console.log(`Found ${documents.length} documents in folder ${folderName}.`);
+// Remove documents from AnythingLLM storage (e.g. outdated versions of a local file)
+async function removeDocuments(names) {
+  return withRetry(async () => {
+    log.info('Removing documents from AnythingLLM', { names });
+    await client.removeDocuments(names);
+  });
+}
+
+// List documents in a folder
+async function listDocumentsInFolder(folderName) {
+  return withRetry(async () => {
+    log.debug('Listing documents in folder', { folderName });
+    const documents = await client.listFolder(folderName);
+    log.info('Listed documents in folder', { folderName, count: documents.length });
     return documents;
   });
 }
 
-// Documents handling
-const FOLDER_NAME = 'custom-documents';
+// Pre-upload checks, from the current settings
+function documentValidation() {
+  const extensions = config.DOCUMENT_EXTENSIONS.split(',')
+    .map((extension) => extension.trim().replace(/^\./, '').toLowerCase())
+    .filter(Boolean);
+  return {
+    extensions: extensions.length > 0 ? extensions : null,
+    maxBytes: Math.round(config.DOCUMENT_MAX_SIZE_MB * 1024 * 1024),
+  };
+}
 
+// Sync a profile's documents and document sources into its AnythingLLM folder (see src/documents.js)
+async function syncDocuments(profile = profiles.getDefaultProfile()) {
+  const { folderName, documentsDir } = profile;
+  return documents.syncDocuments(
+    {
+      uploadDocument: (filePath, options) =>
+        uploadDocument(
+          filePath,
+          () => client.uploadDocument(filePath, options),
+          titled(options.metadata?.title || path.basename(filePath)),
+          folderName
+        ),
+      // Without a title of our own, a web page is stored under the one it was scraped with
+      uploadLink: (url, options) =>
+        uploadDocument(
+          url,
+          () => client.uploadLink(url, options),
+          options.metadata?.title ? titled(options.metadata.title) : (doc) => (doc.chunkSource || '').includes(url),
+          folderName
+        ),
+      uploadText: (text, options) =>
+        uploadDocument(options.metadata.title, () => client.uploadRawText(text, options), titled(options.metadata.title), folderName),
+      listDocumentsInFolder,
+      removeDocuments
+    },
+    { folderName, documentsDir, concurrency: config.DOCUMENT_UPLOAD_CONCURRENCY, validation: documentValidation() }
+  );
+}
 
-async function addDocumentsToWorkspace(workspaceSlug) {
-  const skipDocuments = config.SKIP_DOCUMENTS;
+async function addDocumentsToWorkspace(workspaceSlug, profile = profiles.getDefaultProfile()) {
+  const { folderName } = profile;
 
-  if (skipDocuments) {
-    console.log(`Skipping document addition to workspace: ${workspaceSlug}`);
+  if (config.SKIP_DOCUMENTS) {
+    log.info('Skipping document addition to workspace', { workspaceSlug });
     return { skipped: true };
   }
 
-  return retryApiCall(async () => {
-    console.log(`Adding documents to workspace: ${workspaceSlug}`);
-
-    // Check local custom-documents folder
-    const localDocumentsDir = path.join(__dirname, '..', 'custom-documents');
-    let documentNamesToAdd = [];
-
-    // First delete the existing folder on AnythingLLM so we only use the newly uploaded docs
-    try {
-        console.log(`Removing existing '${FOLDER_NAME}' folder on AnythingLLM to ensure clean state...`);
-        await axios.delete(
-            `${config.LLM_API_URL}/api/v1/document/remove-folder`,
-            {
-                data: { name: FOLDER_NAME },
-                headers: {
-                    Authorization: `Bearer ${config.API_KEY}`,
-                    'Content-Type': 'application/json'
-                }
-            }
-        );
-        console.log(`Successfully removed existing '${FOLDER_NAME}' folder.`);
-    } catch (e) {
-        console.log(`Error removing existing '${FOLDER_NAME}' folder (might not exist): ${e.message}`);
-    }
+  return withRetry(async () => {
+    log.info('Adding documents to workspace', { workspaceSlug });
 
-    try {
-
-      const files = await require("fs/promises").readdir(localDocumentsDir);
-      for (const file of files) {
-        if (file.startsWith('.')) continue; // skip hidden files
-        const filePath = path.join(localDocumentsDir, file);
-        try {
-            const location = await uploadDocument(filePath);
-            if (location) {
-                documentNamesToAdd.push(location);
-            }
-        } catch (e) {
-            console.error(`Failed to upload ${file}:`, e.message);
-        }
-      }
-    } catch(err) {
-      console.log('No local custom-documents folder found or error reading it:', err.message);
-    }
+    // Upload only new or changed local files; unchanged ones reuse their cached location
+    const syncResult = await syncDocuments(profile);
+    let documentNamesToAdd = [...syncResult.locations];
+    // Documents that were skipped or failed to upload, for the setup to report
+    const report = { skipped: syncResult.skipped, failed: syncResult.failed };
 
     if (documentNamesToAdd.length === 0) {
       // Fallback: use whatever is already in the folder on the server
-      const documents = await listDocumentsInFolder(FOLDER_NAME);
-      const filteredDocuments = documents;
-      documentNamesToAdd = filteredDocuments.map(doc => `${FOLDER_NAME}/${doc.name}`);
+      const remoteDocuments = await listDocumentsInFolder(folderName);
+      documentNamesToAdd = remoteDocuments.map((doc) => `${folderName}/${doc.name}`);
     }
 
-    console.log(`Documents to add to workspace:`, documentNamesToAdd);
+    log.debug('Documents to add to workspace', { workspaceSlug, documents: documentNamesToAdd });
 
     if (documentNamesToAdd.length === 0) {
-        console.log(`No documents found in folder '${FOLDER_NAME}' to add to workspace.`);
-        return { added: [], skipped: true, reason: 'No documents found in folder' };
+      log.warn('No documents found in folder to add to workspace', { workspaceSlug, folderName });
+      return { added: [], skipped: true, reason: 'No documents found in folder', report };
     }
 
-    const response = await axios.post(
-      `${config.LLM_API_URL}/api/v1/workspace/${workspaceSlug}/update-embeddings`,
-      { adds: documentNamesToAdd, deletes: [] },
-      {
-        headers: {
-          Authorization: `Bearer ${config.API_KEY}`,
-          'Content-Type': 'application/json',
-        },
-      }
-    );
-
-    console.log(`Documents added successfully to workspace: ${workspaceSlug}`);
-    console.log(`Add response:`, JSON.stringify(response.data, null, 2));
-    return response.data;
+    await client.updateEmbeddings(workspaceSlug, { adds: documentNamesToAdd });
+    log.info('Documents added to workspace', { workspaceSlug, count: documentNamesToAdd.length });
+    return { added: documentNamesToAdd, report };
   });
 }
 
 
+// Bring an existing workspace's embeddings in line with its profile's documents:
+// embed newly synced documents and drop ones that are no longer in the folder
+async function resyncWorkspaceDocuments(workspaceSlug, profile = profiles.getDefaultProfile()) {
+  if (config.SKIP_DOCUMENTS) {
+    return { skipped: true, added: [], removed: [] };
+  }
+  const { locations } = await syncDocuments(profile);
+  const current = await getWorkspaceDocuments(workspaceSlug);
+  const adds = locations.filter((location) => !current.includes(location));
+  const deletes = current.filter(
+    (docpath) => docpath.startsWith(`${profile.folderName}/`) && !locations.includes(docpath)
+  );
+
+  if (adds.length > 0 || deletes.length > 0) {
+    await withRetry(async () => {
+      log.info('Re-syncing workspace embeddings', { workspaceSlug, added: adds.length, removed: deletes.length });
+      await client.updateEmbeddings(workspaceSlug, { adds, deletes });
+    });
+  }
+  return { added: adds, removed: deletes };
+}
+
+
 // User‑workspace association
 async function addUserToWorkspace(userId, workspaceSlug) {
-  const skipUserAddition = config.SKIP_USER_ADDITION;
-
-  if (skipUserAddition) {
-    console.log(`Skipping user addition to workspace: ${workspaceSlug}`);
+  if (config.SKIP_USER_ADDITION) {
+    log.info('Skipping user addition to workspace', { workspaceSlug });
     return { skipped: true };
   }
   const isMultiUser = await checkMultiUserMode();
   if (!isMultiUser) {
-    console.log('Multi-user mode is not enabled. Skipping user addition to workspace.');
+    log.warn('Multi-user mode is not enabled, skipping user addition to workspace', { workspaceSlug });
     return { skipped: true, reason: 'Multi-user mode not enabled' };
   }
-  console.log(`Adding user ${userId} to workspace: ${workspaceSlug}`);
+  log.info('Adding user to workspace', { userId, workspaceSlug });
   try {
-    const response = await axios.post(
-      `${config.LLM_API_URL}/api/v1/admin/workspaces/${workspaceSlug}/manage-users`,
-      { userIds: [parseInt(userId)], reset: false },
-      {
-        headers: {
-          Authorization: `Bearer ${config.API_KEY}`,
-          'Content-Type': 'application/json',
-        },
-      }
-    );
-    console.log(`User ${userId} added successfully to workspace: ${workspaceSlug}`);
-    console.log('Response:', response.data);
-    return response.data;
+    const result = await client.manageWorkspaceUsers(workspaceSlug, [parseInt(userId)]);
+    log.info('User added to workspace', { userId, workspaceSlug });
+    log.debug('Manage users response', { response: result });
+    return result;
   } catch (error) {
-    if (error.response && error.response.status === 401) {
-      console.log('Multi-user mode is not enabled. Skipping user addition.');
+    if (error instanceof AuthError && error.status === 401) {
+      log.warn('Multi-user mode is not enabled, skipping user addition', { workspaceSlug });
       return { skipped: true, reason: 'Multi-user mode not enabled' };
     }
     throw error;
@@ -391,108 +499,164 @@ async function addUserToWorkspace(userId, workspaceSlug) {
 
 // SSO token
 async function getSSOToken(userId) {
-  return retryApiCall(async () => {
-    console.log(`Getting SSO token for user: ${userId}`);
-    console.log(`API endpoint: ${config.LLM_API_URL}/api/v1/users/${userId}/issue-auth-token`);
-    const response = await axios.get(
-      `${config.LLM_API_URL}/api/v1/users/${userId}/issue-auth-token`,
-      {
-        headers: { Authorization: `Bearer ${config.API_KEY}` },
-      }
-    );
-    console.log('SSO token response:', JSON.stringify(response.data, null, 2));
-    const { token, loginPath } = response.data;
-    console.log('Token generated successfully for user:', userId);
+  return withRetry(async () => {
+    log.info('Getting SSO token', { userId });
+    const { token, loginPath } = await client.issueAuthToken(userId);
+    log.info('SSO token issued', { userId });
     return { token, loginPath };
   });
 }
 
+// Readiness probes (see src/readiness.js) – a single attempt each, bounded by
+// `timeout` ms; failures are thrown so the caller can report why
+async function verifyApiKey(timeout) {
+  return client.verifyAuth({ timeout });
+}
+
+async function isMultiUserModeEnabled(timeout) {
+  return client.isMultiUserMode({ timeout });
+}
+
+// Whether a document folder exists in AnythingLLM storage
+async function documentFolderExists(folderName, timeout) {
+  try {
+    await client.listFolder(folderName, { timeout });
+    return true;
+  } catch (error) {
+    if (error instanceof NotFoundError) return false;
+    throw error;
+  }
+}
+
+// Listing helpers (used by orphan reconciliation)
+async function listUsers() {
+  return withRetry(() => client.listUsers());
+}
+
+async function listWorkspaces() {
+  return withRetry(() => client.listWorkspaces());
+}
+
+// Build the AnythingLLM SSO login URL that lands the user in their workspace
+function buildSsoRedirectUrl(loginPath, workspaceSlug) {
+  const destinationWorkspace = `/workspace/${workspaceSlug}`;
+  const ssoUrl = new URL(`${config.LLM_API_URL}${loginPath}`);
+  ssoUrl.searchParams.append('redirect', destinationWorkspace);
+  return ssoUrl.toString();
+}
+
 // Delete helpers
 async function deleteUser(userId) {
   try {
-    await axios.delete(`${config.LLM_API_URL}/api/v1/admin/users/${userId}`, {
-      headers: { Authorization: `Bearer ${config.API_KEY}` },
-    });
-    console.log(`Deleted user: ${userId}`);
+    await client.deleteUser(userId);
+    log.info('Deleted user', { userId });
+    metrics.resourceDeletions.inc({ resource: 'user', result: 'deleted' });
     return true;
   } catch (error) {
-    console.error(`Error deleting user ${userId}:`, error.message);
-    if (error.response) console.error('Error response:', error.response.data);
+    log.error('Error deleting user', { userId, err: error });
+    metrics.resourceDeletions.inc({ resource: 'user', result: 'failed' });
     return false;
   }
 }
 
 async function deleteWorkspace(workspaceSlug) {
   try {
-    await axios.delete(`${config.LLM_API_URL}/api/v1/workspace/${workspaceSlug}`, {
-      headers: { Authorization: `Bearer ${config.API_KEY}` },
-    });
-    console.log(`Deleted workspace: ${workspaceSlug}`);
+    await client.deleteWorkspace(workspaceSlug);
+    log.info('Deleted workspace', { workspaceSlug });
+    metrics.resourceDeletions.inc({ resource: 'workspace', result: 'deleted' });
     return true;
   } catch (error) {
-    console.error(`Error deleting workspace ${workspaceSlug}:`, error.message);
-    if (error.response) console.error('Error response:', error.response.data);
+    log.error('Error deleting workspace', { workspaceSlug, err: error });
+    metrics.resourceDeletions.inc({ resource: 'workspace', result: 'failed' });
     return false;
   }
 }
 
-// Session cleanup - now reads from persistent storage
-async function cleanupSessions() {
+// Delete a session's workspace and user, and forget it once both are gone.
+// The session is kept in storage (as 'deleting') on partial failure so cleanup can retry it.
+async function destroySession(sessionId, session) {
+  const { userId, workspaceSlug } = session;
+  await updateSession(sessionId, { status: SESSION_STATES.DELETING });
+  // A session that failed part-way may not have created both resources
+  const workspaceDeleted = workspaceSlug ? await deleteWorkspace(workspaceSlug) : true;
+  const userDeleted = userId ? await deleteUser(userId) : true;
+  if (workspaceDeleted && userDeleted) {
+    await removeSession(sessionId);
+  }
+  return { workspaceDeleted, userDeleted };
+}
+
+// Session cleanup - now reads from persistent storage.
+// With `expiredOnly`, sessions whose TTL has not yet elapsed are left alone.
+async function cleanupSessions({ expiredOnly = false } = {}) {
   try {
-    console.log('Starting session cleanup...');
-    const sessions = await loadSessions();
-    const sessionIds = Object.keys(sessions);
-    console.log(`Found ${sessionIds.length} sessions to clean up`);
+    log.info('Starting session cleanup', { expiredOnly });
+    const store = await getStore();
+    const found = expiredOnly
+      ? await store.list({ expiresBefore: new Date().toISOString() })
+      : await store.list();
+    // A manual cleanup leaves setups in progress alone: their jobs would go on creating
+    // resources after the session is gone. Expired ones are long dead and swept like the rest.
+    const sessions = expiredOnly ? found : found.filter((session) => !IN_PROGRESS_STATES.includes(session.status));
+    log.info('Found sessions to clean up', { count: sessions.length, inProgress: found.length - sessions.length });
     
     const results = {
-      total: sessionIds.length,
+      total: sessions.length,
       deleted: 0,
       failed: 0,
+      skipped: found.length - sessions.length,
       errors: []
     };
+    const trigger = expiredOnly ? 'sweep' : 'manual';
 
-    for (const sessionId of sessionIds) {
-      const { userId, workspaceSlug, createdAt } = sessions[sessionId];
-      console.log(`Attempting to delete session: ${sessionId} (created: ${createdAt})`);
+    for (const session of sessions) {
+      const { sessionId, userId, workspaceSlug, createdAt, expiresAt } = session;
+      log.info('Deleting session', { sessionId, createdAt, expiresAt });
       
       try {
-        const workspaceDeleted = await deleteWorkspace(workspaceSlug);
-        const userDeleted = await deleteUser(userId);
+        const { workspaceDeleted, userDeleted } = await withContext({ sessionId }, () =>
+          destroySession(sessionId, session)
+        );
         
         if (workspaceDeleted && userDeleted) {
-          await removeSession(sessionId);
           results.deleted++;
-          console.log(`✓ Successfully deleted session: ${sessionId} (user: ${userId}, workspace: ${workspaceSlug})`);
+          metrics.sessionsCleaned.inc({ trigger, result: 'deleted' });
+          log.info('Deleted session', { sessionId, userId, workspaceSlug });
         } else {
           results.failed++;
+          metrics.sessionsCleaned.inc({ trigger, result: 'failed' });
           results.errors.push({
             sessionId,
             error: 'Partial deletion failure',
             workspaceDeleted,
             userDeleted
           });
-          console.log(`⚠ Partial deletion for session ${sessionId}: workspace=${workspaceDeleted}, user=${userDeleted}`);
+          log.warn('Partial deletion of session', { sessionId, workspaceDeleted, userDeleted });
         }
       } catch (err) {
         results.failed++;
+        metrics.sessionsCleaned.inc({ trigger, result: 'failed' });
         results.errors.push({
           sessionId,
           error: err.message
         });
-        console.error(`✗ Failed to delete session ${sessionId}:`, err.message);
+        log.error('Failed to delete session', { sessionId, err });
       }
     }
     
-    console.log('Session cleanup completed!');
-    console.log(`Results: ${results.deleted} deleted, ${results.failed} failed out of ${results.total} total`);
+    log.info('Session cleanup completed', { deleted: results.deleted, failed: results.failed, total: results.total });
     return results;
   } catch (error) {
-    console.error('Error during session cleanup:', error.message);
-    if (error.response) console.error('Error response:', error.response.data);
+    log.error('Error during session cleanup', { err: error });
     throw error;
   }
 }
 
+// Sweeper – removes only sessions whose TTL has elapsed
+async function sweepExpiredSessions() {
+  return cleanupSessions({ expiredOnly: true });
+}
+
 // In‑memory tracking of active sessions (kept for backwards compatibility)
 // But now we also persist to disk
 const activeSessions = new Map();
@@ -501,14 +665,37 @@ module.exports = {
   createUser,
   createWorkspace,
   addDocumentsToWorkspace,
+  updateWorkspaceSettings,
+  resyncWorkspaceDocuments,
+  waitForEmbeddings,
+  verifyWorkspace,
   addUserToWorkspace,
   getSSOToken,
+  buildSsoRedirectUrl,
+  listUsers,
+  listWorkspaces,
+  verifyApiKey,
+  isMultiUserModeEnabled,
+  documentFolderExists,
+  syncDocuments,
+  getDocumentSyncStatus: documents.getSyncStatus,
   deleteUser,
   deleteWorkspace,
   cleanupSessions,
+  sweepExpiredSessions,
   activeSessions,
-  addSession,
+  SESSION_STATES,
+  IN_PROGRESS_STATES,
+  createSession,
+  updateSession,
+  markSessionReady,
+  extendSession,
   removeSession,
+  destroySession,
+  getSession,
+  listLiveSessions,
+  getSessionExpiry,
+  isSessionExpired,
   getAllSessions,
   sleep,
 };
\ No newline at end of file